@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { HttpError } = require('./http-server');
+const { logger } = require('./logger');
+const { parseSnoozeUntil, findSnooze } = require('./snoozes');
+
+function formatRecipient(reminder, stops, snoozes) {
+  const stop = stops.find(row => row.recipient_id === reminder.recipient_id);
+  const snooze = findSnooze(snoozes, reminder.document_id, reminder.recipient_id);
+
+  return {
+    recipientId: reminder.recipient_id,
+    reminderCount: reminder.reminder_count,
+    maxReminders: reminder.max_reminders,
+    lastSentAt: reminder.last_sent_at,
+    activatedAt: reminder.activated_at,
+    escalationStep: reminder.escalation_step,
+    stopped: Boolean(stop),
+    stoppedReason: stop ? stop.stopped_reason : null,
+    stoppedBy: stop ? stop.stopped_by : null,
+    snoozedUntil: snooze ? snooze.snoozed_until : null
+  };
+}
+
+// snoozes are the active ones (db.getActiveSnoozes)
+function formatDocument(docReminder, stops, snoozes) {
+  const documentStops = stops.filter(row => row.document_id === docReminder.document_id);
+  const recipientStops = documentStops.filter(row => row.recipient_id !== null);
+  const documentSnooze = findSnooze(snoozes, docReminder.document_id);
+
+  return {
+    documentId: docReminder.document_id,
+    enabled: Boolean(docReminder.enabled),
+    intervalDays: docReminder.interval_days,
+    maxReminders: docReminder.max_reminders,
+    policy: docReminder.policy,
+    overrides: docReminder.overrides ? JSON.parse(docReminder.overrides) : null,
+    signingOrder: docReminder.signing_order,
+    escalationStep: docReminder.escalation_step,
+    createdAt: docReminder.created_at,
+    lastCheckedAt: docReminder.last_checked_at,
+    stoppedAt: docReminder.stopped_at,
+    stoppedReason: docReminder.stopped_reason,
+    snoozedUntil: documentSnooze ? documentSnooze.snoozed_until : null,
+    recipients: (docReminder.recipients || []).map(reminder => formatRecipient(reminder, recipientStops, snoozes))
+  };
+}
+
+function parseId(value, name) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new HttpError(400, `${name} must be a positive integer`);
+  }
+  return id;
+}
+
+function parseOptionalPositiveInt(body, name) {
+  if (body[name] === undefined) return undefined;
+  return parseId(body[name], name);
+}
+
+// Token-protected REST API for support staff: the same operations as
+// stop-reminders.js, plus triggering a run
+class AdminApi {
+  constructor(service, options = {}) {
+    this.service = service;
+    this.db = service.db;
+    this.token = options.token;
+    this.log = logger.child({ component: 'admin-api' });
+  }
+
+  // Mount the API on an HttpServer under prefix
+  register(server, prefix = '/api') {
+    const routes = [
+      ['GET', '/documents', this.listDocuments],
+      ['GET', '/documents/:id', this.getDocument],
+      ['PATCH', '/documents/:id', this.updateDocument],
+      ['POST', '/documents/:id/stop', this.stopDocument],
+      ['POST', '/documents/:id/resume', this.resumeDocument],
+      ['POST', '/documents/:id/snooze', this.snoozeDocument],
+      ['GET', '/retries', this.listRetries],
+      ['GET', '/run', this.getRun],
+      ['POST', '/run', this.startRun]
+    ];
+
+    for (const [method, path, handler] of routes) {
+      server.route(method, `${prefix}${path}`, (ctx) => {
+        this.authenticate(ctx.headers.authorization);
+        return handler.call(this, ctx);
+      });
+    }
+  }
+
+  // Expects "Authorization: Bearer <ADMIN_API_TOKEN>"
+  authenticate(headerValue) {
+    const [scheme, token] = String(headerValue || '').split(' ');
+    const expected = Buffer.from(this.token || '');
+    const received = Buffer.from(token || '');
+
+    const valid = scheme === 'Bearer' &&
+      expected.length > 0 &&
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received);
+
+    if (!valid) {
+      throw new HttpError(401, 'Invalid or missing admin token');
+    }
+  }
+
+  async getTracked(documentId) {
+    const docReminder = await this.db.getDocumentReminder(documentId);
+    if (!docReminder) {
+      throw new HttpError(404, `Document ${documentId} is not tracked for reminders`);
+    }
+
+    const [recipients, stops, snoozes] = await Promise.all([
+      this.db.getRecipientReminders(documentId),
+      this.db.getStoppedReminders(documentId),
+      this.db.getActiveSnoozes(documentId)
+    ]);
+
+    return formatDocument({ ...docReminder, recipients }, stops, snoozes);
+  }
+
+  // GET /documents?status=active|stopped|snoozed
+  async listDocuments(ctx) {
+    const [documents, stops, snoozes] = await Promise.all([
+      this.db.getTrackedDocuments(),
+      this.db.getStoppedReminders(),
+      this.db.getActiveSnoozes()
+    ]);
+
+    let formatted = documents.map(docReminder => formatDocument(docReminder, stops, snoozes));
+    if (ctx.query.status === 'active') formatted = formatted.filter(document => document.enabled);
+    if (ctx.query.status === 'stopped') formatted = formatted.filter(document => !document.enabled);
+    if (ctx.query.status === 'snoozed') formatted = formatted.filter(document => document.snoozedUntil);
+
+    return { status: 200, body: { documents: formatted } };
+  }
+
+  // GET /documents/:id - reminder state, history, and the live document from Documenso
+  async getDocument(ctx) {
+    const documentId = parseId(ctx.params.id, 'Document ID');
+    const limit = ctx.query.limit ? parseId(ctx.query.limit, 'limit') : 20;
+    const document = await this.getTracked(documentId);
+
+    const [history, escalations, stops, snoozes] = await Promise.all([
+      this.db.getReminderHistory(documentId, limit),
+      this.db.getEscalationEvents(documentId, limit),
+      this.db.getStoppedReminders(documentId),
+      this.db.getActiveSnoozes(documentId)
+    ]);
+
+    let documenso;
+    try {
+      documenso = this.service.api.formatDocumentInfo(await this.service.api.getDocument(documentId));
+    } catch (error) {
+      documenso = { error: error.message };
+    }
+
+    return {
+      status: 200,
+      body: {
+        ...document,
+        documenso,
+        stops: stops.map(stop => ({
+          recipientId: stop.recipient_id,
+          stoppedAt: stop.stopped_at,
+          reason: stop.stopped_reason,
+          stoppedBy: stop.stopped_by
+        })),
+        snoozes: snoozes.map(snooze => ({
+          recipientId: snooze.recipient_id,
+          snoozedUntil: snooze.snoozed_until,
+          snoozedAt: snooze.snoozed_at,
+          snoozedBy: snooze.snoozed_by,
+          reason: snooze.reason
+        })),
+        history: history.map(entry => ({
+          recipientId: entry.recipient_id,
+          sentAt: entry.sent_at,
+          reminderCount: entry.reminder_count,
+          success: Boolean(entry.success),
+          error: entry.error_message,
+          step: entry.step_name
+        })),
+        escalations: escalations.map(event => ({
+          recipientIds: JSON.parse(event.recipient_ids),
+          policy: event.policy,
+          stepIndex: event.step_index,
+          step: event.step_name,
+          action: event.action,
+          executedAt: event.executed_at,
+          success: Boolean(event.success),
+          error: event.error_message
+        }))
+      }
+    };
+  }
+
+  // PATCH /documents/:id { intervalDays, maxReminders }
+  async updateDocument(ctx) {
+    const documentId = parseId(ctx.params.id, 'Document ID');
+    const body = ctx.body || {};
+    const settings = {
+      intervalDays: parseOptionalPositiveInt(body, 'intervalDays'),
+      maxReminders: parseOptionalPositiveInt(body, 'maxReminders')
+    };
+
+    if (settings.intervalDays === undefined && settings.maxReminders === undefined) {
+      throw new HttpError(400, 'Expected intervalDays and/or maxReminders');
+    }
+
+    await this.getTracked(documentId);
+    await this.db.updateDocumentSettings(documentId, settings);
+    this.log.info(`🛠️  Admin API: updated document ${documentId} settings`, { documentId, ...settings });
+
+    return { status: 200, body: await this.getTracked(documentId) };
+  }
+
+  // POST /documents/:id/stop { recipientId, reason }. Stops made here are
+  // always recorded as by 'admin': 'system' and 'recipient' stops show up as
+  // automatic stops and opt-outs in status output and owner digests.
+  async stopDocument(ctx) {
+    const documentId = parseId(ctx.params.id, 'Document ID');
+    const body = ctx.body || {};
+    const recipientId = body.recipientId ? parseId(body.recipientId, 'recipientId') : null;
+
+    await this.getTracked(documentId);
+    await this.db.stopReminders(documentId, recipientId, body.reason || 'manual', 'admin');
+    this.log.info(`🛠️  Admin API: stopped reminders for document ${documentId}${recipientId ? `, recipient ${recipientId}` : ''}`, {
+      documentId,
+      recipientIds: recipientId ? [recipientId] : null
+    });
+
+    return { status: 200, body: await this.getTracked(documentId) };
+  }
+
+  // POST /documents/:id/resume { recipientId }
+  async resumeDocument(ctx) {
+    const documentId = parseId(ctx.params.id, 'Document ID');
+    const body = ctx.body || {};
+    const recipientId = body.recipientId ? parseId(body.recipientId, 'recipientId') : null;
+
+    await this.getTracked(documentId);
+    await this.db.resumeReminders(documentId, recipientId);
+    this.log.info(`🛠️  Admin API: resumed reminders for document ${documentId}${recipientId ? `, recipient ${recipientId}` : ''}`, {
+      documentId,
+      recipientIds: recipientId ? [recipientId] : null
+    });
+
+    return { status: 200, body: await this.getTracked(documentId) };
+  }
+
+  // POST /documents/:id/snooze { until, recipientId, reason } - until is a
+  // date or date and time in TIMEZONE, or a duration like "3d"
+  async snoozeDocument(ctx) {
+    const documentId = parseId(ctx.params.id, 'Document ID');
+    const body = ctx.body || {};
+    const recipientId = body.recipientId ? parseId(body.recipientId, 'recipientId') : null;
+    if (!body.until) {
+      throw new HttpError(400, 'Expected until (a date like 2026-11-03 or a duration like 3d)');
+    }
+
+    let until;
+    try {
+      until = parseSnoozeUntil(body.until, config.reminders.timezone);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    await this.getTracked(documentId);
+    await this.db.snoozeReminders(documentId, recipientId, until, { snoozedBy: 'admin', reason: body.reason || null });
+    this.log.info(`🛠️  Admin API: snoozed reminders for document ${documentId}${recipientId ? `, recipient ${recipientId}` : ''} until ${until.toISO()}`, {
+      documentId,
+      recipientIds: recipientId ? [recipientId] : null
+    });
+
+    return { status: 200, body: await this.getTracked(documentId) };
+  }
+
+  // GET /retries?status=pending|dead - failed resends and the dead-letter list
+  async listRetries(ctx) {
+    const { status = null } = ctx.query;
+    if (status && !['pending', 'dead'].includes(status)) {
+      throw new HttpError(400, 'status must be pending or dead');
+    }
+
+    const retries = await this.db.getRetries(status);
+    return {
+      status: 200,
+      body: {
+        retries: retries.map(retry => ({
+          documentId: retry.document_id,
+          recipientId: retry.recipient_id,
+          status: retry.status,
+          attempts: retry.attempts,
+          nextAttemptAt: retry.next_attempt_at,
+          lastError: retry.last_error,
+          lastStatus: retry.last_status,
+          policy: retry.policy,
+          step: retry.step_name,
+          createdAt: retry.created_at,
+          updatedAt: retry.updated_at
+        }))
+      }
+    };
+  }
+
+  // GET /run - the run in progress, if any, and the last finished one
+  async getRun() {
+    return {
+      status: 200,
+      body: { running: this.service.currentRun, lastRun: this.service.lastRun }
+    };
+  }
+
+  // POST /run { enroll } - start a run now. It runs in the background; poll
+  // GET /run for the result.
+  async startRun(ctx) {
+    if (this.service.stopping) {
+      throw new HttpError(503, 'The service is shutting down');
+    }
+    if (this.service.currentRun) {
+      throw new HttpError(409, 'A reminder run is already in progress');
+    }
+
+    const enroll = !ctx.body || ctx.body.enroll !== false;
+    this.service.runCycle({ enroll, trigger: 'admin' }).catch(error => {
+      this.log.error('❌ Admin-triggered run failed', { error });
+    });
+    this.log.info('🛠️  Admin API: started a reminder run', { runId: this.service.currentRun.id });
+
+    return { status: 202, body: { started: true, run: this.service.currentRun } };
+  }
+}
+
+module.exports = { AdminApi };
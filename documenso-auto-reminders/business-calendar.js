@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const cronParser = require('cron-parser');
+const { DateTime } = require('luxon');
+
+// Timestamps are ISO strings, or 'yyyy-MM-dd HH:mm:ss' in UTC for rows
+// written with CURRENT_TIMESTAMP
+function parseTimestamp(value) {
+  if (!value) return null;
+  const parsed = DateTime.fromISO(String(value).replace(' ', 'T'), { zone: 'utc' });
+  return parsed.isValid ? parsed : null;
+}
+
+// 'HH:mm' -> { hour, minute }
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time of day "${value}" (expected HH:mm)`);
+  }
+  return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+// 'HH:mm-HH:mm' -> { start, end }. The window may wrap past midnight.
+function parseQuietHours(value) {
+  if (!value) return null;
+
+  const [start, end] = value.split('-');
+  if (!end) {
+    throw new Error(`Invalid quiet hours "${value}" (expected HH:mm-HH:mm)`);
+  }
+  return { start: parseTimeOfDay(start), end: parseTimeOfDay(end) };
+}
+
+// Holidays from a JSON or ICS file. JSON is either a list of dates, or lists
+// keyed by country code ({ "FR": ["2025-01-01", ...] }); entries may also be
+// { "date": "2025-01-01", "name": "..." }. ICS all-day events count for each
+// day they cover, and FREQ=YEARLY events repeat every year.
+function loadHolidays(filePath, country = null) {
+  const holidays = { dates: new Set(), annual: new Set() };
+  if (!filePath) return holidays;
+
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read holidays from ${filePath}: ${error.message}`);
+  }
+
+  if (path.extname(filePath).toLowerCase() === '.ics') {
+    parseIcsHolidays(content, holidays);
+    return holidays;
+  }
+
+  let entries = JSON.parse(content);
+  if (!Array.isArray(entries)) {
+    if (!country || !entries[country]) {
+      throw new Error(`Holidays file ${filePath} is keyed by country; set HOLIDAY_COUNTRY to one of ${Object.keys(entries).join(', ')}`);
+    }
+    entries = entries[country];
+  }
+
+  for (const entry of entries) {
+    const date = DateTime.fromISO(typeof entry === 'string' ? entry : entry.date);
+    if (!date.isValid) {
+      throw new Error(`Invalid holiday date ${JSON.stringify(entry)} in ${filePath}`);
+    }
+    holidays.dates.add(date.toISODate());
+  }
+
+  return holidays;
+}
+
+function parseIcsHolidays(content, holidays) {
+  // Unfold continuation lines first (RFC 5545 section 3.1)
+  const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+    } else if (line === 'END:VEVENT' && event) {
+      addIcsEvent(event, holidays);
+      event = null;
+    } else if (event) {
+      const separator = line.indexOf(':');
+      const name = line.slice(0, separator).split(';')[0].toUpperCase();
+      event[name] = line.slice(separator + 1).trim();
+    }
+  }
+}
+
+function addIcsEvent(event, holidays) {
+  const start = DateTime.fromFormat(String(event.DTSTART || '').slice(0, 8), 'yyyyMMdd');
+  if (!start.isValid) return;
+
+  const endValue = DateTime.fromFormat(String(event.DTEND || '').slice(0, 8), 'yyyyMMdd');
+  // DTEND is exclusive for all-day events
+  const end = endValue.isValid && endValue > start ? endValue : start.plus({ days: 1 });
+  const yearly = /FREQ=YEARLY/i.test(event.RRULE || '');
+
+  for (let day = start; day < end; day = day.plus({ days: 1 })) {
+    if (yearly) holidays.annual.add(day.toFormat('MM-dd'));
+    else holidays.dates.add(day.toISODate());
+  }
+}
+
+class BusinessCalendar {
+  constructor(options = {}) {
+    this.timezone = options.timezone || 'UTC';
+    this.businessDaysOnly = options.businessDaysOnly === true;
+    this.workingDays = options.workingDays || [1, 2, 3, 4, 5]; // ISO weekdays, 1 = Monday
+    this.holidays = options.holidays || { dates: new Set(), annual: new Set() };
+    this.reminderTime = parseTimeOfDay(options.reminderTime || '09:00');
+    this.quietHours = options.quietHours || null;
+  }
+
+  local(dateTime) {
+    return dateTime.setZone(this.timezone);
+  }
+
+  isHoliday(dateTime) {
+    const local = this.local(dateTime);
+    return this.holidays.dates.has(local.toISODate()) || this.holidays.annual.has(local.toFormat('MM-dd'));
+  }
+
+  isBusinessDay(dateTime) {
+    const local = this.local(dateTime);
+    return this.workingDays.includes(local.weekday) && !this.isHoliday(local);
+  }
+
+  // Whether dateTime falls inside the quiet-hours window
+  isQuietTime(dateTime) {
+    if (!this.quietHours) return false;
+
+    const local = this.local(dateTime);
+    const minutes = local.hour * 60 + local.minute;
+    const start = this.quietHours.start.hour * 60 + this.quietHours.start.minute;
+    const end = this.quietHours.end.hour * 60 + this.quietHours.end.minute;
+
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  // Whether reminders may go out at dateTime
+  isAllowed(dateTime) {
+    if (this.businessDaysOnly && !this.isBusinessDay(dateTime)) return false;
+    return !this.isQuietTime(dateTime);
+  }
+
+  // The earliest moment at or after dateTime when reminders may go out
+  nextAllowedSlot(dateTime) {
+    let candidate = this.local(dateTime);
+
+    // A year of holidays and weekends is more than any calendar will skip
+    for (let i = 0; i < 800 && !this.isAllowed(candidate); i++) {
+      if (this.businessDaysOnly && !this.isBusinessDay(candidate)) {
+        candidate = candidate.plus({ days: 1 }).set({ ...this.reminderTime, second: 0, millisecond: 0 });
+      } else {
+        candidate = this.endOfQuietHours(candidate);
+      }
+    }
+
+    return candidate;
+  }
+
+  endOfQuietHours(dateTime) {
+    const end = dateTime.set({ ...this.quietHours.end, second: 0, millisecond: 0 });
+    return end > dateTime ? end : end.plus({ days: 1 });
+  }
+
+  // When something that should happen `days` days after `from` is due: that
+  // many business days later (or calendar days when BUSINESS_DAYS_ONLY is
+  // off), at the reminder time, moved out of weekends, holidays and quiet hours
+  dueAt(from, days) {
+    let date = this.local(from).startOf('day');
+
+    if (this.businessDaysOnly) {
+      for (let remaining = days; remaining > 0;) {
+        date = date.plus({ days: 1 });
+        if (this.isBusinessDay(date)) remaining--;
+      }
+    } else {
+      date = date.plus({ days });
+    }
+
+    return this.nextAllowedSlot(date.set(this.reminderTime));
+  }
+
+  // Whether a cron schedule has days on which its last run is before the
+  // reminder time. Reminders due on such a day only go out on the next day's
+  // run, a day late.
+  runsOnlyBeforeReminderTime(cronSchedule, now = DateTime.now()) {
+    const end = this.local(now).plus({ days: 7 }).endOf('day');
+    const ticks = cronParser.parseExpression(cronSchedule, { currentDate: now.toJSDate(), tz: this.timezone });
+    const lastTicks = new Map(); // local date -> last run that day
+
+    // A week of runs, even every minute, is enough to see the pattern
+    for (let i = 0; i < 20000; i++) {
+      const tick = this.local(DateTime.fromJSDate(ticks.next().toDate()));
+      if (tick > end) break;
+      lastTicks.set(tick.toISODate(), tick);
+    }
+
+    const reminderMinutes = this.reminderTime.hour * 60 + this.reminderTime.minute;
+    return [...lastTicks.values()].some(tick => tick.hour * 60 + tick.minute < reminderMinutes);
+  }
+
+  describe() {
+    const weekdays = this.workingDays.map(day => DateTime.local().set({ weekday: day }).toFormat('ccc')).join(', ');
+    const holidayCount = this.holidays.dates.size + this.holidays.annual.size;
+    const quiet = this.quietHours
+      ? `${DateTime.fromObject(this.quietHours.start).toFormat('HH:mm')}-${DateTime.fromObject(this.quietHours.end).toFormat('HH:mm')}`
+      : 'none';
+
+    return {
+      timezone: this.timezone,
+      businessDaysOnly: this.businessDaysOnly,
+      workingDays: weekdays,
+      holidays: holidayCount,
+      reminderTime: DateTime.fromObject(this.reminderTime).toFormat('HH:mm'),
+      quietHours: quiet
+    };
+  }
+}
+
+// Calendar built from config.reminders
+function createBusinessCalendar(reminders) {
+  return new BusinessCalendar({
+    timezone: reminders.timezone,
+    businessDaysOnly: reminders.businessDaysOnly,
+    workingDays: reminders.workingDays,
+    holidays: loadHolidays(reminders.holidaysFile, reminders.holidayCountry),
+    reminderTime: reminders.reminderTime,
+    quietHours: parseQuietHours(reminders.quietHours)
+  });
+}
+
+module.exports = {
+  BusinessCalendar,
+  createBusinessCalendar,
+  loadHolidays,
+  parseQuietHours,
+  parseTimestamp
+};
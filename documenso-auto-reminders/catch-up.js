@@ -0,0 +1,42 @@
+const cronParser = require('cron-parser');
+const { DateTime } = require('luxon');
+
+// What to do on startup about scheduled runs missed while the service was down
+const CatchUpPolicy = {
+  RUN: 'run', // one run right away
+  SPREAD: 'spread', // overdue documents go out bit by bit over the next hours
+  SKIP: 'skip' // wait for the next scheduled run
+};
+
+// Counting stops here, e.g. for a minutely schedule after weeks of downtime
+const MAX_MISSED_RUNS = 1000;
+
+// Ticks of the cron schedule after the last run and up to now, as
+// { count, first, last, capped }; count is 0 when nothing was missed
+function findMissedRuns(cronSchedule, timezone, lastRunAt, now = DateTime.now()) {
+  const ticks = cronParser.parseExpression(cronSchedule, {
+    currentDate: lastRunAt.toJSDate(),
+    endDate: now.toJSDate(),
+    tz: timezone
+  });
+
+  let count = 0;
+  let first = null;
+  let last = null;
+  while (count < MAX_MISSED_RUNS && ticks.hasNext()) {
+    last = DateTime.fromJSDate(ticks.next().toDate());
+    first = first || last;
+    count++;
+  }
+
+  return { count, first, last, capped: count === MAX_MISSED_RUNS };
+}
+
+// Spread items evenly over hours from start: Map of item -> when it is due.
+// The first item is due right away.
+function spreadOver(items, start, hours) {
+  const step = items.length > 0 ? (hours * 3600 * 1000) / items.length : 0;
+  return new Map(items.map((item, index) => [item, start.plus({ milliseconds: Math.round(index * step) })]));
+}
+
+module.exports = { CatchUpPolicy, findMissedRuns, spreadOver };
@@ -1,187 +1,699 @@
-const sqlite3 = require('sqlite3').verbose();
 const { DateTime } = require('luxon');
 const config = require('./config');
+const { logger } = require('./logger');
+const { createStorage } = require('./storage');
+const { Migrator } = require('./migrator');
+
+// Ids per IN list, to stay below the parameter limits
+const IN_BATCH_SIZE = 500;
+const CLEANUP_PAGE_SIZE = 1000;
 
 class ReminderDatabase {
-  constructor() {
-    this.db = new sqlite3.Database(config.database.path);
-    this.init();
-  }
-
-  init() {
-    // Create tables if they don't exist
-    this.db.serialize(() => {
-      // Documents being tracked for reminders
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS document_reminders (
-          document_id INTEGER PRIMARY KEY,
-          enabled INTEGER DEFAULT 1,
-          interval_days INTEGER DEFAULT 4,
-          max_reminders INTEGER DEFAULT 10,
-          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-          stopped_at TEXT NULL,
-          stopped_reason TEXT NULL
-        )
-      `);
-
-      // Individual reminder history
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS reminder_history (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          document_id INTEGER,
-          recipient_ids TEXT, -- JSON array of recipient IDs
-          sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
-          reminder_count INTEGER,
-          success INTEGER DEFAULT 1,
-          error_message TEXT NULL,
-          FOREIGN KEY (document_id) REFERENCES document_reminders (document_id)
-        )
-      `);
-
-      // Stopped reminders (per document or per recipient)
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS stopped_reminders (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          document_id INTEGER,
-          recipient_id INTEGER NULL, -- NULL means all recipients
-          stopped_at TEXT DEFAULT CURRENT_TIMESTAMP,
-          stopped_reason TEXT,
-          stopped_by TEXT -- 'owner', 'recipient', 'system'
-        )
-      `);
-    });
+  constructor(options = config.database) {
+    this.log = logger.child({ component: 'database' });
+    // SQLite file by default, PostgreSQL when DATABASE_URL is set
+    this.storage = createStorage(options);
+    // Every query waits for the schema check
+    this.ready = this.init();
+    this.ready.catch(error => this.log.error(`❌ Could not open database (${this.storage.describe()})`, { error }));
+  }
+
+  // Schema changes are only applied by `npm run migrate`; a database that
+  // isn't up to date fails every query instead
+  async init() {
+    await new Migrator(this.storage).assertUpToDate();
+  }
+
+  // Queries go through the storage backend once the schema has been checked
+  async run(sql, params = []) {
+    await this.ready;
+    return this.storage.run(sql, params);
+  }
+
+  async get(sql, params = []) {
+    await this.ready;
+    return this.storage.get(sql, params);
+  }
+
+  async all(sql, params = []) {
+    await this.ready;
+    return this.storage.all(sql, params);
   }
 
   // Add document to reminder tracking
-  enableReminders(documentId, options = {}) {
-    return new Promise((resolve, reject) => {
-      const {
-        intervalDays = config.reminders.intervalDays,
-        maxReminders = config.reminders.maxReminders
-      } = options;
-
-      this.db.run(`
-        INSERT OR REPLACE INTO document_reminders 
-        (document_id, enabled, interval_days, max_reminders, created_at)
-        VALUES (?, 1, ?, ?, ?)
-      `, [documentId, intervalDays, maxReminders, DateTime.now().toISO()], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
-    });
+  async enableReminders(documentId, options = {}) {
+    const {
+      intervalDays = config.reminders.intervalDays,
+      maxReminders = config.reminders.maxReminders,
+      signingOrder = null,
+      policy = null
+    } = options;
+
+    // Re-enrolling starts the document over with fresh settings
+    await this.run(`
+      INSERT INTO document_reminders
+      (document_id, enabled, interval_days, max_reminders, created_at, signing_order, policy)
+      VALUES (?, 1, ?, ?, ?, ?, ?)
+      ON CONFLICT (document_id) DO UPDATE SET
+        enabled = 1,
+        interval_days = excluded.interval_days,
+        max_reminders = excluded.max_reminders,
+        created_at = excluded.created_at,
+        signing_order = excluded.signing_order,
+        policy = excluded.policy,
+        stopped_at = NULL,
+        stopped_reason = NULL,
+        last_checked_at = NULL,
+        escalation_step = 0,
+        overrides = NULL
+    `, [documentId, intervalDays, maxReminders, DateTime.now().toISO(), signingOrder, policy]);
+
+    return documentId;
   }
 
-  // Stop reminders for a document
-  stopReminders(documentId, recipientId = null, reason = 'manual', stoppedBy = 'owner') {
-    return new Promise((resolve, reject) => {
-      // Add to stopped reminders
-      this.db.run(`
-        INSERT INTO stopped_reminders 
-        (document_id, recipient_id, stopped_reason, stopped_by)
-        VALUES (?, ?, ?, ?)
-      `, [documentId, recipientId, reason, stoppedBy], (err) => {
-        if (err) reject(err);
-        else {
-          // If stopping all reminders for document, disable it
-          if (!recipientId) {
-            this.db.run(`
-              UPDATE document_reminders 
-              SET enabled = 0, stopped_at = ?, stopped_reason = ?
-              WHERE document_id = ?
-            `, [DateTime.now().toISO(), reason, documentId], (err) => {
-              if (err) reject(err);
-              else resolve();
-            });
-          } else {
-            resolve();
-          }
-        }
-      });
-    });
+  // Get the tracking row for a document (undefined if not tracked)
+  getDocumentReminder(documentId) {
+    return this.get(`SELECT * FROM document_reminders WHERE document_id = ?`, [documentId]);
+  }
+
+  // Remember a document's signing order once it is known
+  async setSigningOrder(documentId, signingOrder) {
+    await this.run(`
+      UPDATE document_reminders SET signing_order = ? WHERE document_id = ?
+    `, [signingOrder, documentId]);
+  }
+
+  // Remember when a document was last fetched from Documenso
+  async markDocumentChecked(documentId) {
+    await this.run(`
+      UPDATE document_reminders SET last_checked_at = ? WHERE document_id = ?
+    `, [DateTime.utc().toISO(), documentId]);
   }
 
-  // Get documents that need reminders
-  getDocumentsForReminders() {
-    return new Promise((resolve, reject) => {
-      const query = `
-        SELECT 
-          dr.*,
-          COUNT(rh.id) as reminder_count,
-          MAX(rh.sent_at) as last_reminder_sent
-        FROM document_reminders dr
-        LEFT JOIN reminder_history rh ON dr.document_id = rh.document_id
-        WHERE dr.enabled = 1
-        GROUP BY dr.document_id
-        HAVING 
-          (reminder_count = 0) OR 
-          (reminder_count < dr.max_reminders AND 
-           datetime(last_reminder_sent, '+' || dr.interval_days || ' days') <= datetime('now'))
-      `;
-
-      this.db.all(query, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
+  // Stop reminders for a document. stoppedBy is 'admin' for stops made by
+  // hand (stop-reminders.js or the admin API), 'system' for automatic ones
+  // and 'recipient' for opt-outs.
+  async stopReminders(documentId, recipientId = null, reason = 'manual', stoppedBy = 'admin') {
+    // Add to stopped reminders
+    await this.run(`
+      INSERT INTO stopped_reminders
+      (document_id, recipient_id, stopped_at, stopped_reason, stopped_by)
+      VALUES (?, ?, ?, ?, ?)
+    `, [documentId, recipientId, DateTime.utc().toISO(), reason, stoppedBy]);
+
+    // Stopped recipients are not retried either
+    const recipient = recipientFilter(recipientId);
+    await this.run(`
+      DELETE FROM reminder_retries WHERE document_id = ?${recipient.sql}
+    `, [documentId, ...recipient.params]);
+
+    this.log.debug('Recorded reminder stop', {
+      documentId,
+      recipientIds: recipientId ? [recipientId] : null,
+      reason,
+      stoppedBy
     });
+
+    // If stopping all reminders for document, disable it
+    if (!recipientId) {
+      await this.run(`
+        UPDATE document_reminders
+        SET enabled = 0, stopped_at = ?, stopped_reason = ?
+        WHERE document_id = ?
+      `, [DateTime.now().toISO(), reason, documentId]);
+    }
+  }
+
+  // Resume reminders for a document (clearing every stop and snooze on it,
+  // including recipients') or for one recipient. Settings and counts are kept.
+  async resumeReminders(documentId, recipientId = null) {
+    await this.endSnoozes(documentId, recipientId);
+
+    if (recipientId) {
+      await this.run(`
+        DELETE FROM stopped_reminders WHERE document_id = ? AND recipient_id = ?
+      `, [documentId, recipientId]);
+      return;
+    }
+
+    await this.run(`
+      UPDATE document_reminders
+      SET enabled = 1, stopped_at = NULL, stopped_reason = NULL
+      WHERE document_id = ?
+    `, [documentId]);
+    await this.run(`DELETE FROM stopped_reminders WHERE document_id = ?`, [documentId]);
+  }
+
+  // Change a document's interval and/or max. A new max applies to recipients
+  // already being reminded too.
+  // Settings left undefined are kept; a null policy means the default one
+  async updateDocumentSettings(documentId, { intervalDays, maxReminders, policy } = {}) {
+    if (intervalDays !== undefined) {
+      await this.run(`
+        UPDATE document_reminders SET interval_days = ? WHERE document_id = ?
+      `, [intervalDays, documentId]);
+    }
+
+    if (maxReminders !== undefined) {
+      await this.run(`
+        UPDATE document_reminders SET max_reminders = ? WHERE document_id = ?
+      `, [maxReminders, documentId]);
+      await this.run(`
+        UPDATE recipient_reminders SET max_reminders = ? WHERE document_id = ?
+      `, [maxReminders, documentId]);
+    }
+
+    if (policy !== undefined) {
+      await this.run(`
+        UPDATE document_reminders SET policy = ? WHERE document_id = ?
+      `, [policy, documentId]);
+    }
+  }
+
+  // Settings from the document's tag in Documenso, as last applied
+  async setDocumentOverrides(documentId, overrides) {
+    await this.run(`
+      UPDATE document_reminders SET overrides = ? WHERE document_id = ?
+    `, [overrides ? JSON.stringify(overrides) : null, documentId]);
+  }
+
+  // Stops recorded for a document, or for every document
+  getStoppedReminders(documentId = null) {
+    if (documentId === null) {
+      return this.all(`SELECT * FROM stopped_reminders ORDER BY stopped_at DESC, id DESC`);
+    }
+    return this.all(`
+      SELECT * FROM stopped_reminders WHERE document_id = ? ORDER BY stopped_at DESC, id DESC
+    `, [documentId]);
   }
 
-  // Record that a reminder was sent
-  recordReminderSent(documentId, recipientIds, reminderCount, success = true, errorMessage = null) {
-    return new Promise((resolve, reject) => {
-      this.db.run(`
-        INSERT INTO reminder_history 
-        (document_id, recipient_ids, reminder_count, success, error_message)
-        VALUES (?, ?, ?, ?, ?)
-      `, [
-        documentId, 
-        JSON.stringify(recipientIds), 
-        reminderCount, 
-        success ? 1 : 0, 
-        errorMessage
-      ], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
+  // Hold back reminders for a document (or one recipient) until a time,
+  // replacing an earlier snooze of the same document or recipient
+  async snoozeReminders(documentId, recipientId, until, { snoozedBy = 'admin', reason = null } = {}) {
+    await this.run(`
+      DELETE FROM reminder_snoozes WHERE document_id = ? AND ${recipientId ? 'recipient_id = ?' : 'recipient_id IS NULL'}
+    `, recipientId ? [documentId, recipientId] : [documentId]);
+
+    await this.run(`
+      INSERT INTO reminder_snoozes (document_id, recipient_id, snoozed_until, snoozed_at, snoozed_by, reason)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [documentId, recipientId, until.toUTC().toISO(), DateTime.utc().toISO(), snoozedBy, reason]);
+
+    this.log.debug('Recorded reminder snooze', {
+      documentId,
+      recipientIds: recipientId ? [recipientId] : null,
+      snoozedUntil: until.toUTC().toISO()
     });
   }
 
+  // End the snoozes of a document (all of them, including recipients') or of
+  // one recipient early
+  async endSnoozes(documentId, recipientId = null) {
+    const recipient = recipientFilter(recipientId);
+    const { changes } = await this.run(`
+      DELETE FROM reminder_snoozes WHERE document_id = ?${recipient.sql}
+    `, [documentId, ...recipient.params]);
+    return changes;
+  }
+
+  // Snoozes that haven't ended yet, for a document or for every document
+  getActiveSnoozes(documentId = null, now = DateTime.now()) {
+    const document = documentId === null ? { sql: '', params: [] } : { sql: ' AND document_id = ?', params: [documentId] };
+    return this.all(`
+      SELECT * FROM reminder_snoozes WHERE snoozed_until > ?${document.sql}
+      ORDER BY document_id, recipient_id, snoozed_until
+    `, [now.toUTC().toISO(), ...document.params]);
+  }
+
+  // Forget snoozes that have ended; resolves to how many there were
+  async deleteEndedSnoozes(now = DateTime.now()) {
+    const { changes } = await this.run(`
+      DELETE FROM reminder_snoozes WHERE snoozed_until <= ?
+    `, [now.toUTC().toISO()]);
+    return changes;
+  }
+
+  // Queue (or requeue) a failed resend for a recipient
+  async saveRetry(documentId, recipientId, retry) {
+    const now = DateTime.utc().toISO();
+
+    await this.run(`
+      INSERT INTO reminder_retries
+      (document_id, recipient_id, status, attempts, next_attempt_at, last_error, last_status,
+       policy, step_index, step_name, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (document_id, recipient_id) DO UPDATE SET
+        status = excluded.status,
+        attempts = excluded.attempts,
+        next_attempt_at = excluded.next_attempt_at,
+        last_error = excluded.last_error,
+        last_status = excluded.last_status,
+        updated_at = excluded.updated_at
+    `, [
+      documentId,
+      recipientId,
+      retry.status,
+      retry.attempts,
+      retry.nextAttemptAt ? retry.nextAttemptAt.toUTC().toISO() : null,
+      retry.error,
+      retry.httpStatus,
+      retry.policy || null,
+      retry.stepIndex ?? null,
+      retry.stepName || null,
+      now,
+      now
+    ]);
+  }
+
+  // Retries whose next attempt is due
+  getDueRetries(now) {
+    return this.all(`
+      SELECT * FROM reminder_retries
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY document_id, recipient_id
+    `, [now.toUTC().toISO()]);
+  }
+
+  // Queued and dead-lettered resends, optionally only those with a status
+  getRetries(status = null) {
+    return this.all(`
+      SELECT * FROM reminder_retries${status ? ' WHERE status = ?' : ''}
+      ORDER BY status, next_attempt_at, document_id, recipient_id
+    `, status ? [status] : []);
+  }
+
+  // Recipients of a document with a queued or dead-lettered resend
+  async getRetryRecipientIds(documentId) {
+    const rows = await this.all(`
+      SELECT recipient_id FROM reminder_retries WHERE document_id = ?
+    `, [documentId]);
+    return new Set(rows.map(row => row.recipient_id));
+  }
+
+  deleteRetry(documentId, recipientId) {
+    return this.run(`
+      DELETE FROM reminder_retries WHERE document_id = ? AND recipient_id = ?
+    `, [documentId, recipientId]);
+  }
+
+  // Give dead letters of a document (or one recipient) a fresh set of attempts
+  async requeueDeadLetters(documentId, recipientId = null) {
+    const recipient = recipientFilter(recipientId);
+    const { changes } = await this.run(`
+      UPDATE reminder_retries
+      SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?
+      WHERE status = 'dead' AND document_id = ?${recipient.sql}
+    `, [DateTime.utc().toISO(), DateTime.utc().toISO(), documentId, ...recipient.params]);
+    return changes;
+  }
+
+  // Drop dead letters of a document (or one recipient); their normal
+  // reminder cadence picks up again
+  async discardDeadLetters(documentId, recipientId = null) {
+    const recipient = recipientFilter(recipientId);
+    const { changes } = await this.run(`
+      DELETE FROM reminder_retries
+      WHERE status = 'dead' AND document_id = ?${recipient.sql}
+    `, [documentId, ...recipient.params]);
+    return changes;
+  }
+
+  // Take the named lock, or its lease when it has expired. Resolves to false
+  // while another owner holds it.
+  async acquireLock(name, owner, ttlSeconds) {
+    const now = DateTime.utc();
+
+    const { changes } = await this.run(`
+      INSERT INTO run_locks (name, owner, acquired_at, expires_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (name) DO UPDATE SET
+        owner = excluded.owner,
+        acquired_at = excluded.acquired_at,
+        expires_at = excluded.expires_at
+      WHERE run_locks.expires_at <= excluded.acquired_at OR run_locks.owner = excluded.owner
+    `, [name, owner, now.toISO(), now.plus({ seconds: ttlSeconds }).toISO()]);
+
+    return changes > 0;
+  }
+
+  // Extend the lease; false when the lock is no longer ours
+  async renewLock(name, owner, ttlSeconds) {
+    const { changes } = await this.run(`
+      UPDATE run_locks SET expires_at = ? WHERE name = ? AND owner = ?
+    `, [DateTime.utc().plus({ seconds: ttlSeconds }).toISO(), name, owner]);
+
+    return changes > 0;
+  }
+
+  releaseLock(name, owner) {
+    return this.run(`DELETE FROM run_locks WHERE name = ? AND owner = ?`, [name, owner]);
+  }
+
+  getLock(name) {
+    return this.get(`SELECT * FROM run_locks WHERE name = ?`, [name]);
+  }
+
+  // Claim an idempotency key before sending. Resolves to null when the claim
+  // is ours, or to the existing claim when another run got there first.
+  async claimSend(key, documentId, recipientId, owner, details = {}) {
+    const { changes } = await this.run(`
+      INSERT INTO send_claims
+      (idempotency_key, document_id, recipient_id, status, owner, reminder_count, policy, step_index, step_name, claimed_at)
+      VALUES (?, ?, ?, 'sending', ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (idempotency_key) DO NOTHING
+    `, [
+      key,
+      documentId,
+      recipientId,
+      owner,
+      details.reminderCount ?? null,
+      details.policy || null,
+      details.stepIndex ?? null,
+      details.stepName || null,
+      DateTime.utc().toISO()
+    ]);
+
+    if (changes > 0) return null;
+    return this.get(`SELECT * FROM send_claims WHERE idempotency_key = ?`, [key]);
+  }
+
+  // Close a claim that is still being sent. Resolves to false when it was
+  // already closed (e.g. by another instance settling it).
+  async completeSend(key, status) {
+    const { changes } = await this.run(`
+      UPDATE send_claims SET status = ?, completed_at = ?
+      WHERE idempotency_key = ? AND status = 'sending'
+    `, [status, DateTime.utc().toISO(), key]);
+
+    return changes > 0;
+  }
+
+  // Give up a claim whose send failed, so a retry can claim it again
+  releaseSend(key) {
+    return this.run(`
+      DELETE FROM send_claims WHERE idempotency_key = ? AND status = 'sending'
+    `, [key]);
+  }
+
+  // Get enabled documents with their recipients' reminder state. Which of
+  // them are due is decided by the caller.
+  async getDocumentsForReminders() {
+    const documents = await this.all(`SELECT * FROM document_reminders WHERE enabled = 1`);
+    return this.attachRecipients(documents);
+  }
+
+  // Get every tracked document, including stopped ones
+  async getTrackedDocuments() {
+    const documents = await this.all(`SELECT * FROM document_reminders ORDER BY document_id`);
+    return this.attachRecipients(documents);
+  }
+
+  // Add each document's recipients, reading only those of these documents
+  async attachRecipients(documents) {
+    const byDocument = new Map(documents.map(document => [document.document_id, []]));
+    const ids = [...byDocument.keys()];
+
+    for (let start = 0; start < ids.length; start += IN_BATCH_SIZE) {
+      const batch = ids.slice(start, start + IN_BATCH_SIZE);
+      const recipients = await this.all(`
+        SELECT * FROM recipient_reminders WHERE document_id IN (${placeholders(batch)})
+      `, batch);
+      for (const recipient of recipients) {
+        byDocument.get(recipient.document_id).push(recipient);
+      }
+    }
+
+    return documents.map(document => ({ ...document, recipients: byDocument.get(document.document_id) }));
+  }
+
+  // Get reminder state of each recipient of a document
+  getRecipientReminders(documentId) {
+    return this.all(`SELECT * FROM recipient_reminders WHERE document_id = ?`, [documentId]);
+  }
+
+  // Start tracking a recipient. activatedAt is when they could first act, which
+  // starts their reminder interval. Existing recipients are left untouched.
+  async activateRecipient(documentId, recipientId, activatedAt, maxReminders) {
+    await this.run(`
+      INSERT INTO recipient_reminders
+      (document_id, recipient_id, reminder_count, max_reminders, activated_at)
+      VALUES (?, ?, 0, ?, ?)
+      ON CONFLICT (document_id, recipient_id) DO NOTHING
+    `, [documentId, recipientId, maxReminders, activatedAt.toUTC().toISO()]);
+
+    return this.get(`
+      SELECT * FROM recipient_reminders WHERE document_id = ? AND recipient_id = ?
+    `, [documentId, recipientId]);
+  }
+
+  // Record a reminder to one recipient. Only successful reminders count towards
+  // the recipient's max and restart their interval.
+  async recordReminderSent(documentId, recipientId, reminderCount, success = true, errorMessage = null, stepName = null) {
+    const sentAt = DateTime.utc().toISO();
+
+    const { id } = await this.get(`
+      INSERT INTO reminder_history
+      (document_id, recipient_id, sent_at, reminder_count, success, error_message, step_name)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      RETURNING id
+    `, [documentId, recipientId, sentAt, reminderCount, success ? 1 : 0, errorMessage, stepName]);
+
+    this.log.debug('Recorded reminder', { documentId, recipientIds: [recipientId], reminderCount, success });
+
+    if (success) {
+      await this.run(`
+        UPDATE recipient_reminders
+        SET reminder_count = reminder_count + 1, last_sent_at = ?
+        WHERE document_id = ? AND recipient_id = ?
+      `, [sentAt, documentId, recipientId]);
+    }
+
+    return id;
+  }
+
+  // Record that a recipient completed an escalation step, and keep the
+  // document's furthest step in sync
+  async setEscalationStep(documentId, recipientId, escalationStep) {
+    await this.run(`
+      UPDATE recipient_reminders SET escalation_step = ?
+      WHERE document_id = ? AND recipient_id = ?
+    `, [escalationStep, documentId, recipientId]);
+
+    await this.run(`
+      UPDATE document_reminders
+      SET escalation_step = (
+        SELECT COALESCE(MAX(escalation_step), 0) FROM recipient_reminders WHERE document_id = ?
+      )
+      WHERE document_id = ?
+    `, [documentId, documentId]);
+  }
+
+  // Record an escalation step that ran (or failed to)
+  async recordEscalationEvent(documentId, recipientIds, policy, stepIndex, step, success = true, errorMessage = null) {
+    const { id } = await this.get(`
+      INSERT INTO escalation_events
+      (document_id, recipient_ids, policy, step_index, step_name, action, executed_at, success, error_message)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      RETURNING id
+    `, [
+      documentId,
+      JSON.stringify(recipientIds),
+      policy,
+      stepIndex,
+      step.name,
+      step.action,
+      DateTime.utc().toISO(),
+      success ? 1 : 0,
+      errorMessage
+    ]);
+
+    return id;
+  }
+
+  // Most recent escalation steps for a document
+  getEscalationEvents(documentId, limit = 10) {
+    return this.all(`
+      SELECT * FROM escalation_events WHERE document_id = ? ORDER BY executed_at DESC, id DESC LIMIT ?
+    `, [documentId, limit]);
+  }
+
+  // Most recent reminders for a document
+  getReminderHistory(documentId, limit = 10) {
+    return this.all(`
+      SELECT * FROM reminder_history WHERE document_id = ? ORDER BY sent_at DESC, id DESC LIMIT ?
+    `, [documentId, limit]);
+  }
+
+  // Reminder runs, to detect the ones missed while the service was down
+  async recordRunStart(run, owner) {
+    await this.run(`
+      INSERT INTO service_runs (run_id, trigger, owner, started_at, status)
+      VALUES (?, ?, ?, ?, 'running')
+    `, [run.id, run.trigger, owner, run.startedAt]);
+  }
+
+  async recordRunFinish(run, owner, status) {
+    const { processed = null, sent = null, errors = null } = run.result || {};
+    await this.run(`
+      UPDATE service_runs
+      SET finished_at = ?, status = ?, processed = ?, sent = ?, errors = ?, error_message = ?
+      WHERE run_id = ? AND owner = ?
+    `, [run.finishedAt, status, processed, sent, errors, run.error, run.id, owner]);
+  }
+
+  // Most recent run of any instance, finished or not
+  getLastRun() {
+    return this.get(`SELECT * FROM service_runs ORDER BY started_at DESC, id DESC LIMIT 1`);
+  }
+
+  // Stops owners didn't make themselves: by the service, or by recipients
+  // who opted out
+  getAutomaticStops() {
+    return this.all(`SELECT * FROM stopped_reminders WHERE stopped_by IN ('system', 'recipient') ORDER BY stopped_at, id`);
+  }
+
+  getLastDigest(ownerEmail) {
+    return this.get(`
+      SELECT * FROM owner_digests WHERE owner_email = ? ORDER BY sent_at DESC, id DESC LIMIT 1
+    `, [ownerEmail]);
+  }
+
+  async recordDigest(ownerEmail, periodStart, { documents, stopped }) {
+    await this.run(`
+      INSERT INTO owner_digests (owner_email, period_start, sent_at, documents, stopped)
+      VALUES (?, ?, ?, ?, ?)
+    `, [ownerEmail, periodStart, DateTime.utc().toISO(), documents, stopped]);
+  }
+
+  // Retention cleanup: history and stop records from before cutoff (an ISO
+  // UTC timestamp) of documents that were stopped for one of the given
+  // reasons, a page of rows with ids above afterId at a time. Rows written
+  // before migrations have 'YYYY-MM-DD HH:MM:SS' timestamps, which compare
+  // as ISO strings once the space is a 'T'.
+  getFinishedHistory(reasons, cutoff, afterId = 0) {
+    return this.all(`
+      SELECT rh.* FROM reminder_history rh
+      JOIN document_reminders dr ON dr.document_id = rh.document_id
+      WHERE dr.enabled = 0 AND dr.stopped_reason IN (${placeholders(reasons)})
+        AND REPLACE(rh.sent_at, ' ', 'T') < ? AND rh.id > ?
+      ORDER BY rh.id
+      LIMIT ${CLEANUP_PAGE_SIZE}
+    `, [...reasons, cutoff, afterId]);
+  }
+
+  getFinishedStops(reasons, cutoff, afterId = 0) {
+    return this.all(`
+      SELECT sr.* FROM stopped_reminders sr
+      JOIN document_reminders dr ON dr.document_id = sr.document_id
+      WHERE dr.enabled = 0 AND dr.stopped_reason IN (${placeholders(reasons)})
+        AND REPLACE(sr.stopped_at, ' ', 'T') < ? AND sr.id > ?
+      ORDER BY sr.id
+      LIMIT ${CLEANUP_PAGE_SIZE}
+    `, [...reasons, cutoff, afterId]);
+  }
+
+  deleteHistory(ids) {
+    return this.deleteByIds('reminder_history', ids);
+  }
+
+  deleteStops(ids) {
+    return this.deleteByIds('stopped_reminders', ids);
+  }
+
+  // Delete rows by id, a batch at a time to stay below parameter limits
+  async deleteByIds(table, ids) {
+    let deleted = 0;
+    for (let start = 0; start < ids.length; start += IN_BATCH_SIZE) {
+      const batch = ids.slice(start, start + IN_BATCH_SIZE);
+      const { changes } = await this.run(`DELETE FROM ${table} WHERE id IN (${placeholders(batch)})`, batch);
+      deleted += changes;
+    }
+    return deleted;
+  }
+
   // Check if reminders are stopped for specific document/recipient
-  isReminderStopped(documentId, recipientId = null) {
-    return new Promise((resolve, reject) => {
-      let query = `
-        SELECT COUNT(*) as count FROM stopped_reminders 
-        WHERE document_id = ? AND (recipient_id IS NULL OR recipient_id = ?)
-      `;
-      
-      this.db.get(query, [documentId, recipientId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row.count > 0);
-      });
-    });
+  async isReminderStopped(documentId, recipientId = null) {
+    const row = await this.get(`
+      SELECT COUNT(*) as count FROM stopped_reminders
+      WHERE document_id = ? AND (recipient_id IS NULL OR recipient_id = ?)
+    `, [documentId, recipientId]);
+
+    return Number(row.count) > 0;
   }
 
   // Get reminder statistics
-  getStats() {
-    return new Promise((resolve, reject) => {
-      const queries = {
-        activeDocuments: `SELECT COUNT(*) as count FROM document_reminders WHERE enabled = 1`,
-        totalReminders: `SELECT COUNT(*) as count FROM reminder_history WHERE success = 1`,
-        stoppedDocuments: `SELECT COUNT(*) as count FROM document_reminders WHERE enabled = 0`
-      };
-
-      Promise.all([
-        new Promise((res, rej) => this.db.get(queries.activeDocuments, (err, row) => err ? rej(err) : res(row.count))),
-        new Promise((res, rej) => this.db.get(queries.totalReminders, (err, row) => err ? rej(err) : res(row.count))),
-        new Promise((res, rej) => this.db.get(queries.stoppedDocuments, (err, row) => err ? rej(err) : res(row.count)))
-      ]).then(([active, total, stopped]) => {
-        resolve({ activeDocuments: active, totalReminders: total, stoppedDocuments: stopped });
-      }).catch(reject);
-    });
+  async getStats() {
+    const now = DateTime.utc().toISO();
+    const [active, total, stopped, optedOut, snoozed, stoppedRecipients, snoozedRecipients, retries] = await Promise.all([
+      this.get(`SELECT COUNT(*) as count FROM document_reminders WHERE enabled = 1`),
+      this.get(`SELECT COUNT(*) as count FROM reminder_history WHERE success = 1`),
+      this.get(`SELECT COUNT(*) as count FROM document_reminders WHERE enabled = 0`),
+      this.get(`SELECT COUNT(*) as count FROM stopped_reminders WHERE stopped_by = 'recipient'`),
+      this.get(`SELECT COUNT(*) as count FROM reminder_snoozes WHERE snoozed_until > ?`, [now]),
+      // Recipients of active documents left out of reminders: stopped on
+      // their own, or snoozed (on their own or with the whole document)
+      this.get(`
+        SELECT COUNT(*) as count FROM recipient_reminders rr
+        JOIN document_reminders dr ON dr.document_id = rr.document_id
+        WHERE dr.enabled = 1 AND EXISTS (
+          SELECT 1 FROM stopped_reminders sr
+          WHERE sr.document_id = rr.document_id AND sr.recipient_id = rr.recipient_id
+        )
+      `),
+      this.get(`
+        SELECT COUNT(*) as count FROM recipient_reminders rr
+        JOIN document_reminders dr ON dr.document_id = rr.document_id
+        WHERE dr.enabled = 1 AND EXISTS (
+          SELECT 1 FROM reminder_snoozes rs
+          WHERE rs.document_id = rr.document_id
+            AND (rs.recipient_id IS NULL OR rs.recipient_id = rr.recipient_id)
+            AND rs.snoozed_until > ?
+        )
+      `, [now]),
+      this.get(`
+        SELECT
+          COALESCE(SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END), 0) as pending,
+          COALESCE(SUM(CASE WHEN status = 'dead' THEN 1 ELSE 0 END), 0) as dead
+        FROM reminder_retries
+      `)
+    ]);
+
+    // PostgreSQL returns counts and sums as strings
+    return {
+      activeDocuments: Number(active.count),
+      totalReminders: Number(total.count),
+      stoppedDocuments: Number(stopped.count),
+      optedOutRecipients: Number(optedOut.count),
+      activeSnoozes: Number(snoozed.count),
+      stoppedRecipients: Number(stoppedRecipients.count),
+      snoozedRecipients: Number(snoozedRecipients.count),
+      pendingRetries: Number(retries.pending),
+      deadLetters: Number(retries.dead)
+    };
+  }
+
+  // Cheap query to check the database answers
+  async ping() {
+    await this.get(`SELECT 1 AS ok`);
+    return true;
   }
 
   close() {
-    this.db.close();
+    // Let the schema check finish before closing
+    return this.ready.catch(() => {}).then(() => this.storage.close());
   }
 }
 
-module.exports = ReminderDatabase; 
\ No newline at end of file
+// "?, ?, ?" for an IN list
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+// " AND recipient_id = ?" when limited to one recipient. (A "? IS NULL" test
+// instead doesn't work on PostgreSQL, which can't infer the parameter's type.)
+function recipientFilter(recipientId) {
+  return recipientId === null || recipientId === undefined
+    ? { sql: '', params: [] }
+    : { sql: ' AND recipient_id = ?', params: [recipientId] };
+}
+
+module.exports = ReminderDatabase;
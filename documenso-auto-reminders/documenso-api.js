@@ -1,11 +1,29 @@
 const axios = require('axios');
 const config = require('./config');
+const { getPendingRecipients, getRecipientState } = require('./recipient-state');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+const { RateLimiter, mapWithConcurrency } = require('./rate-limiter');
+
+const PAGE_SIZE = 50;
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
 
 class DocumensoAPI {
   constructor() {
     this.baseUrl = config.documenso.baseUrl;
     this.apiToken = config.documenso.apiToken;
     this.apiVersion = config.documenso.apiVersion;
+    this.log = logger.child({ component: 'api' });
     
     this.client = axios.create({
       baseURL: `${this.baseUrl}/api/${this.apiVersion}`,
@@ -15,6 +33,81 @@ class DocumensoAPI {
       },
       timeout: 30000
     });
+
+    this.limiter = new RateLimiter({
+      requestsPerSecond: config.documenso.rateLimit,
+      burst: config.documenso.rateBurst,
+      concurrency: config.documenso.concurrency
+    });
+
+    this.instrument();
+    this.limit();
+  }
+
+  // Every request waits for the rate limiter. Registered after instrument()
+  // so that it runs first and latency doesn't include the wait.
+  limit() {
+    this.client.interceptors.request.use(async (request) => {
+      await this.limiter.acquire();
+      request.limited = true;
+      return request;
+    });
+
+    const release = (request) => {
+      if (request && request.limited) {
+        request.limited = false;
+        this.limiter.release();
+      }
+    };
+
+    this.client.interceptors.response.use(
+      (response) => {
+        release(response.config);
+        return response;
+      },
+      (error) => {
+        release(error.config);
+        // Everyone backs off when the server says so
+        const retryAfter = error.response && error.response.status === 429
+          ? parseRetryAfter(error.response.headers['retry-after'])
+          : null;
+        if (retryAfter) {
+          this.log.warn(`🚦 Documenso rate limit hit, pausing API calls for ${retryAfter}s`);
+          this.limiter.pause(retryAfter);
+        }
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  // Record latency and errors of every request for /metrics
+  instrument() {
+    this.client.interceptors.request.use((request) => {
+      request.metadata = { startedAt: process.hrtime.bigint() };
+      return request;
+    });
+
+    const observe = (request, status) => {
+      if (!request || !request.metadata) return;
+      const seconds = Number(process.hrtime.bigint() - request.metadata.startedAt) / 1e9;
+      const method = (request.method || 'get').toUpperCase();
+      const endpoint = metrics.endpointLabel(request.url);
+
+      metrics.apiLatency.observe({ method, endpoint }, seconds);
+      this.log.debug(`${method} ${request.url} -> ${status}`, { durationMs: Math.round(seconds * 1000) });
+    };
+
+    this.client.interceptors.response.use(
+      (response) => {
+        observe(response.config, response.status);
+        return response;
+      },
+      (error) => {
+        observe(error.config, error.response ? error.response.status : error.code || 'error');
+        metrics.apiErrors.inc({ status: error.response ? String(error.response.status) : 'network' });
+        return Promise.reject(error);
+      }
+    );
   }
 
   // Get all documents (pending and completed)
@@ -41,36 +134,42 @@ class DocumensoAPI {
 
   // Get pending documents (documents waiting for signatures)
   async getPendingDocuments() {
+    const pageDocuments = (response) => {
+      const documents = response.documents || response.data || response;
+      return Array.isArray(documents) ? documents : [];
+    };
+
     try {
-      const allDocuments = [];
-      let page = 1;
-      let hasMore = true;
-
-      while (hasMore) {
-        const response = await this.getDocuments(page, 50);
-        const documents = response.documents || response.data || response;
-        
-        if (Array.isArray(documents)) {
+      const first = await this.getDocuments(1, PAGE_SIZE);
+      const allDocuments = pageDocuments(first);
+
+      if (first.totalPages) {
+        // The page count is known, so the other pages are fetched side by side
+        const pages = Array.from({ length: first.totalPages - 1 }, (_, index) => index + 2);
+        const responses = await mapWithConcurrency(pages, this.limiter.concurrency, page => this.getDocuments(page, PAGE_SIZE));
+        for (const response of responses) {
+          allDocuments.push(...pageDocuments(response));
+        }
+      } else {
+        // If we got a full page, there might be more
+        let documents = allDocuments;
+        let page = 2;
+        while (documents.length === PAGE_SIZE) {
+          documents = pageDocuments(await this.getDocuments(page, PAGE_SIZE));
           allDocuments.push(...documents);
-          hasMore = documents.length === 50; // If we got a full page, there might be more
           page++;
-        } else {
-          hasMore = false;
         }
       }
 
-      // Filter for pending documents (documents with pending recipients)
-      return allDocuments.filter(doc => {
-        return doc.status === 'PENDING' || 
-               (doc.recipients && doc.recipients.some(r => r.status === 'PENDING'));
-      });
+      // The list endpoint doesn't include recipients, so rely on the document status
+      return allDocuments.filter(doc => doc.status === 'PENDING');
     } catch (error) {
       throw new Error(`Failed to fetch pending documents: ${error.message}`);
     }
   }
 
   // Send reminder for specific document and recipients
-  async sendReminder(documentId, recipientIds) {
+  async sendReminder(documentId, recipientIds, log = this.log) {
     try {
       const response = await this.client.post(`/documents/${documentId}/resend`, {
         recipients: recipientIds
@@ -84,24 +183,27 @@ class DocumensoAPI {
       };
     } catch (error) {
       const errorMessage = error.response?.data?.message || error.message;
-      console.error(`❌ Failed to send reminder for document ${documentId}:`, errorMessage);
+      log.error(`❌ Failed to send reminder for document ${documentId}`, {
+        documentId,
+        recipientIds,
+        status: error.response?.status,
+        error: errorMessage
+      });
       
       return {
         success: false,
         error: errorMessage,
+        status: error.response?.status || null, // null when there was no response
+        retryAfter: parseRetryAfter(error.response?.headers?.['retry-after']),
         documentId,
         recipientIds
       };
     }
   }
 
-  // Get pending recipients for a document
+  // Get IDs of recipients who still need to act on a document
   getPendingRecipients(document) {
-    if (!document.recipients) return [];
-    
-    return document.recipients
-      .filter(recipient => recipient.status === 'PENDING')
-      .map(recipient => recipient.id);
+    return getPendingRecipients(document).map(recipient => recipient.id);
   }
 
   // Format document info for logging
@@ -118,7 +220,10 @@ class DocumensoAPI {
         id: r.id,
         email: r.email,
         name: r.name,
-        status: r.status
+        role: r.role,
+        state: getRecipientState(r),
+        signingStatus: r.signingStatus,
+        readStatus: r.readStatus
       })) || []
     };
   }
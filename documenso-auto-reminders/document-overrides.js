@@ -0,0 +1,94 @@
+// Per-document reminder settings taken from Documenso itself: a "[reminders ...]"
+// tag in the document's externalId or title, e.g.
+//
+//   "Lease 42 [reminders interval=2 max=5]"
+//   "crm-1234 [reminders policy=urgent]"
+//   "NDA draft [reminders off]"
+//   "Contrat 7 [reminders lang=fr]"
+//
+// Settings are separated by spaces, commas or semicolons. When externalId and
+// title both set something, externalId wins.
+
+const TAG_PATTERN = /\[reminders?:?\s*([^\]]*)\]/i;
+
+// Stop reason of documents whose tag says "off"; they resume once it is gone
+const DISABLED_REASON = 'disabled_in_documenso';
+
+// "en", "fr", "pt-BR"
+function isLanguageCode(value) {
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value);
+}
+
+// Text without its tag, e.g. the title as recipients should see it
+function withoutTag(text) {
+  return (text || '').replace(TAG_PATTERN, '').replace(/\s{2,}/g, ' ').trim();
+}
+
+// Parse the tag in one piece of text into overrides, and problems for
+// settings that were ignored
+function parseTag(text, policies) {
+  const overrides = {};
+  const problems = [];
+  const match = TAG_PATTERN.exec(text || '');
+  if (!match) return { overrides, problems };
+
+  for (const setting of match[1].split(/[\s,;]+/).filter(Boolean)) {
+    const [key, value] = setting.split('=').map(part => part.trim());
+
+    switch (key.toLowerCase()) {
+      case 'off':
+      case 'never':
+        overrides.disabled = true;
+        break;
+
+      case 'interval':
+      case 'max': {
+        const number = Number(value);
+        if (Number.isInteger(number) && number > 0) {
+          overrides[key.toLowerCase() === 'interval' ? 'intervalDays' : 'maxReminders'] = number;
+        } else {
+          problems.push(`"${setting}" needs a positive whole number`);
+        }
+        break;
+      }
+
+      case 'policy':
+        if (value && policies.has(value)) {
+          overrides.policy = value;
+        } else {
+          problems.push(`"${setting}" names no policy in ${policies.size > 0 ? [...policies.keys()].join(', ') : 'ESCALATION_POLICIES_FILE'}`);
+        }
+        break;
+
+      case 'lang':
+      case 'language':
+        // Picks the reminder template when REMINDER_DELIVERY=smtp
+        if (value && isLanguageCode(value)) {
+          overrides.language = value.toLowerCase();
+        } else {
+          problems.push(`"${setting}" needs a language code such as en or fr`);
+        }
+        break;
+
+      default:
+        problems.push(`unknown setting "${setting}"`);
+    }
+  }
+
+  return { overrides, problems };
+}
+
+// Overrides for a Documenso document (as listed or fetched), as
+// { overrides: { intervalDays, maxReminders, policy, language, disabled }, problems }
+// with only the settings the document names
+function getDocumentOverrides(document, policies) {
+  const fromTitle = parseTag(document.title, policies);
+  const fromExternalId = parseTag(document.externalId, policies);
+
+  return {
+    overrides: { ...fromTitle.overrides, ...fromExternalId.overrides },
+    problems: [...fromTitle.problems, ...fromExternalId.problems]
+  };
+}
+
+module.exports = { DISABLED_REASON, isLanguageCode, withoutTag, getDocumentOverrides };
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const { DateTime } = require('luxon');
+const { parseTimestamp } = require('./business-calendar');
+
+// What a matching enrollment rule does with a pending document
+const EnrollmentAction = {
+  INCLUDE: 'include', // enroll it, with the rule's policy if it names one
+  EXCLUDE: 'exclude' // leave it alone
+};
+
+// Conditions a rule can have; every condition it has must hold for it to match
+const CONDITIONS = ['title', 'userId', 'teamId', 'externalIdPrefix', 'recipientDomain', 'minAgeDays', 'maxAgeDays'];
+
+// Load enrollment rules from a JSON file:
+//
+// {
+//   "default": "include",
+//   "rules": [
+//     { "name": "no-drafts", "action": "exclude", "title": "^(draft|test)\\b" },
+//     { "name": "sales", "action": "include", "teamId": [7, 8], "policy": "urgent" },
+//     { "name": "partners", "action": "include", "recipientDomain": "partner.com", "minAgeDays": 1 },
+//     { "name": "internal", "action": "exclude", "userId": 3, "externalIdPrefix": "hr-" }
+//   ]
+// }
+//
+// Rules are tried in order and the first one that matches decides. Documents
+// no rule matches get "default" (include when left out). Without a file every
+// pending document is enrolled.
+function loadEnrollmentRules(filePath, policies) {
+  if (!filePath) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read enrollment rules from ${filePath}: ${error.message}`);
+  }
+
+  const defaultAction = parsed.default || EnrollmentAction.INCLUDE;
+  if (!Object.values(EnrollmentAction).includes(defaultAction)) {
+    throw new Error(`Enrollment rules default "${defaultAction}" must be one of ${Object.values(EnrollmentAction).join(', ')}`);
+  }
+
+  const rules = (parsed.rules || []).map((rule, index) => validateRule(rule, index, policies));
+  return { defaultAction, rules };
+}
+
+// One value or a list of them, as a list
+function asList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function validateRule(rule, index, policies) {
+  const name = rule.name || `rule-${index + 1}`;
+  const label = `Enrollment rule "${name}"`;
+
+  if (!Object.values(EnrollmentAction).includes(rule.action)) {
+    throw new Error(`${label} has unknown action "${rule.action}" (use ${Object.values(EnrollmentAction).join(', ')})`);
+  }
+
+  const unknown = Object.keys(rule).filter(key => !['name', 'action', 'policy', ...CONDITIONS].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${label} has unknown condition(s) ${unknown.join(', ')} (use ${CONDITIONS.join(', ')})`);
+  }
+
+  if (rule.policy !== undefined) {
+    if (rule.action !== EnrollmentAction.INCLUDE) {
+      throw new Error(`${label} excludes documents, so it can't name a policy`);
+    }
+    if (!policies.has(rule.policy)) {
+      throw new Error(`${label} names policy "${rule.policy}", which is not defined in ESCALATION_POLICIES_FILE`);
+    }
+  }
+
+  const validated = { name, action: rule.action, policy: rule.policy || null };
+
+  if (rule.title !== undefined) {
+    try {
+      validated.title = new RegExp(rule.title, 'i');
+    } catch (error) {
+      throw new Error(`${label} has an invalid title pattern: ${error.message}`);
+    }
+  }
+
+  for (const key of ['userId', 'teamId']) {
+    if (rule[key] === undefined) continue;
+    const ids = asList(rule[key]);
+    // teamId null matches personal documents
+    if (!ids.every(id => Number.isInteger(id) || (key === 'teamId' && id === null))) {
+      throw new Error(`${label} needs ${key} to be a number or a list of numbers`);
+    }
+    validated[key] = ids;
+  }
+
+  for (const key of ['externalIdPrefix', 'recipientDomain']) {
+    if (rule[key] === undefined) continue;
+    const values = asList(rule[key]);
+    if (!values.every(value => typeof value === 'string' && value.length > 0)) {
+      throw new Error(`${label} needs ${key} to be a string or a list of strings`);
+    }
+    validated[key] = key === 'recipientDomain'
+      ? values.map(domain => domain.toLowerCase().replace(/^@/, ''))
+      : values;
+  }
+
+  for (const key of ['minAgeDays', 'maxAgeDays']) {
+    if (rule[key] === undefined) continue;
+    if (typeof rule[key] !== 'number' || rule[key] < 0) {
+      throw new Error(`${label} needs a non-negative ${key}`);
+    }
+    validated[key] = rule[key];
+  }
+
+  return validated;
+}
+
+// Whether deciding needs the document's recipients, which the list endpoint
+// leaves out
+function needsRecipients(ruleSet) {
+  return Boolean(ruleSet) && ruleSet.rules.some(rule => rule.recipientDomain);
+}
+
+// Check each condition of a rule against a document, as
+// [{ condition, matched, detail }]
+function checkRule(rule, document, now) {
+  const checks = [];
+  const check = (condition, matched, detail) => checks.push({ condition, matched, detail });
+
+  if (rule.title) {
+    const title = document.title || '';
+    const matched = rule.title.test(title);
+    check('title', matched, `title "${title}" ${matched ? 'matches' : "doesn't match"} ${rule.title}`);
+  }
+
+  for (const key of ['userId', 'teamId']) {
+    if (!rule[key]) continue;
+    const value = document[key] === undefined ? null : document[key];
+    const matched = rule[key].includes(value);
+    const shown = (id) => (id === null ? 'none' : id);
+    check(key, matched, `${key} ${shown(value)} is ${matched ? '' : 'not '}in ${rule[key].map(shown).join(', ')}`);
+  }
+
+  if (rule.externalIdPrefix) {
+    const externalId = document.externalId || '';
+    const prefix = rule.externalIdPrefix.find(candidate => externalId.startsWith(candidate));
+    check('externalIdPrefix', Boolean(prefix), prefix
+      ? `externalId "${externalId}" starts with "${prefix}"`
+      : `externalId ${externalId ? `"${externalId}"` : '(none)'} doesn't start with ${rule.externalIdPrefix.map(candidate => `"${candidate}"`).join(', ')}`);
+  }
+
+  if (rule.recipientDomain) {
+    const domains = [...new Set((document.recipients || [])
+      .map(recipient => (recipient.email || '').split('@')[1])
+      .filter(Boolean)
+      .map(domain => domain.toLowerCase()))];
+    const matches = domains.filter(domain => rule.recipientDomain.includes(domain));
+    check('recipientDomain', matches.length > 0, matches.length > 0
+      ? `recipients at ${matches.join(', ')}`
+      : `no recipient at ${rule.recipientDomain.join(', ')} (recipients at ${domains.join(', ') || 'none'})`);
+  }
+
+  if (rule.minAgeDays !== undefined || rule.maxAgeDays !== undefined) {
+    const createdAt = parseTimestamp(document.createdAt);
+    const age = createdAt ? now.diff(createdAt, 'days').days : null;
+    const shown = age === null ? 'unknown (no createdAt)' : `${age.toFixed(1)} days`;
+
+    if (rule.minAgeDays !== undefined) {
+      const matched = age !== null && age >= rule.minAgeDays;
+      check('minAgeDays', matched, `age ${shown} is ${matched ? 'at least' : 'under'} ${rule.minAgeDays} days`);
+    }
+    if (rule.maxAgeDays !== undefined) {
+      const matched = age !== null && age <= rule.maxAgeDays;
+      check('maxAgeDays', matched, `age ${shown} is ${matched ? 'at most' : 'over'} ${rule.maxAgeDays} days`);
+    }
+  }
+
+  return checks;
+}
+
+// Decide whether a pending document is enrolled, as
+// { include, policy, rule, evaluated }: rule is the matching rule (null when
+// the default decided) and evaluated lists each rule tried with its checks
+function evaluateEnrollment(document, ruleSet, now = DateTime.now()) {
+  if (!ruleSet) {
+    return { include: true, policy: null, rule: null, evaluated: [] };
+  }
+
+  const evaluated = [];
+  for (const rule of ruleSet.rules) {
+    const checks = checkRule(rule, document, now);
+    const matched = checks.every(result => result.matched);
+    evaluated.push({ rule, matched, checks });
+
+    if (matched) {
+      const include = rule.action === EnrollmentAction.INCLUDE;
+      return { include, policy: include ? rule.policy : null, rule, evaluated };
+    }
+  }
+
+  return { include: ruleSet.defaultAction === EnrollmentAction.INCLUDE, policy: null, rule: null, evaluated };
+}
+
+module.exports = { EnrollmentAction, loadEnrollmentRules, needsRecipients, evaluateEnrollment };
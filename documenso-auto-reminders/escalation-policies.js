@@ -0,0 +1,77 @@
+const fs = require('fs');
+
+// What an escalation step does when it is reached
+const EscalationAction = {
+  RESEND: 'resend', // resend the signing email to the recipient
+  EMAIL_OWNER: 'email_owner', // email the document owner (or the step's "to")
+  WEBHOOK: 'webhook' // POST the escalation to an outbound webhook
+};
+
+// Load named policies from a JSON file:
+//
+// {
+//   "policies": {
+//     "standard": {
+//       "steps": [
+//         { "name": "gentle", "afterDays": 2, "action": "resend" },
+//         { "name": "firm", "afterDays": 5, "action": "resend" },
+//         { "name": "owner", "afterDays": 10, "action": "email_owner" },
+//         { "name": "team-admin", "afterDays": 14, "action": "webhook", "url": "https://..." }
+//       ]
+//     }
+//   }
+// }
+//
+// afterDays counts from when the recipient could first act.
+function loadPolicies(filePath) {
+  const policies = new Map();
+  if (!filePath) return policies;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read escalation policies from ${filePath}: ${error.message}`);
+  }
+
+  for (const [name, policy] of Object.entries(parsed.policies || {})) {
+    policies.set(name, validatePolicy(name, policy));
+  }
+
+  return policies;
+}
+
+function validatePolicy(name, policy) {
+  if (!Array.isArray(policy.steps) || policy.steps.length === 0) {
+    throw new Error(`Escalation policy "${name}" needs at least one step`);
+  }
+
+  const steps = policy.steps.map((step, index) => {
+    const label = `Step ${index + 1} of escalation policy "${name}"`;
+
+    if (typeof step.afterDays !== 'number' || step.afterDays < 0) {
+      throw new Error(`${label} needs a non-negative afterDays`);
+    }
+
+    if (!Object.values(EscalationAction).includes(step.action)) {
+      throw new Error(`${label} has unknown action "${step.action}" (use ${Object.values(EscalationAction).join(', ')})`);
+    }
+
+    if (step.action === EscalationAction.WEBHOOK && !step.url) {
+      throw new Error(`${label} is a webhook step without a url`);
+    }
+
+    return { ...step, name: step.name || `step-${index + 1}` };
+  });
+
+  // Steps run in order, so they must not go back in time
+  for (let i = 1; i < steps.length; i++) {
+    if (steps[i].afterDays < steps[i - 1].afterDays) {
+      throw new Error(`Steps of escalation policy "${name}" must be ordered by afterDays`);
+    }
+  }
+
+  return { name, steps };
+}
+
+module.exports = { EscalationAction, loadPolicies };
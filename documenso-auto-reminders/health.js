@@ -0,0 +1,103 @@
+const cronParser = require('cron-parser');
+const { DateTime } = require('luxon');
+
+// Liveness (/health) and readiness (/ready) for the long-running service
+class HealthMonitor {
+  constructor(service, options = {}) {
+    this.service = service;
+    this.cronSchedule = options.cronSchedule;
+    this.timezone = options.timezone;
+    this.maxFailingMinutes = options.maxFailingMinutes;
+    this.startedAt = DateTime.utc();
+  }
+
+  // Mount the endpoints on an HttpServer. They need no token so that load
+  // balancers and process managers can probe them.
+  register(server) {
+    server.route('GET', '/health', () => this.liveness());
+    server.route('GET', '/ready', () => this.readiness());
+  }
+
+  // Next time the reminder cron fires
+  getNextRunAt() {
+    try {
+      return DateTime.fromJSDate(
+        cronParser.parseExpression(this.cronSchedule, { tz: this.timezone }).next().toDate()
+      ).toUTC().toISO();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async checkDatabase() {
+    try {
+      await this.service.db.ping();
+      return { reachable: true };
+    } catch (error) {
+      return { reachable: false, error: error.message };
+    }
+  }
+
+  async getReport() {
+    const { runHealth, lastRun, currentRun, lastApiHealth } = this.service;
+
+    return {
+      uptimeSeconds: Math.round(DateTime.utc().diff(this.startedAt, 'seconds').seconds),
+      running: Boolean(currentRun),
+      lastSuccessfulRunAt: runHealth.lastSuccessAt,
+      lastRun,
+      failingSince: runHealth.failingSince,
+      consecutiveFailures: runHealth.consecutiveFailures,
+      api: lastApiHealth
+        ? { healthy: lastApiHealth.healthy, checkedAt: lastApiHealth.checkedAt, error: lastApiHealth.error || null }
+        : null,
+      database: await this.checkDatabase(),
+      nextRunAt: this.getNextRunAt()
+    };
+  }
+
+  // Why the service isn't ready, if it isn't
+  getNotReadyReasons(report) {
+    const reasons = [];
+
+    if (!report.database.reachable) {
+      reasons.push(`database unreachable: ${report.database.error}`);
+    }
+
+    if (report.failingSince) {
+      const failingMinutes = DateTime.utc().diff(DateTime.fromISO(report.failingSince), 'minutes').minutes;
+      if (failingMinutes >= this.maxFailingMinutes) {
+        reasons.push(`runs failing since ${report.failingSince} (${report.consecutiveFailures} in a row)`);
+      }
+    }
+
+    return reasons;
+  }
+
+  // GET /health - the process is up and answering. Always 200; the body
+  // says whether it is also ready.
+  async liveness() {
+    const report = await this.getReport();
+    const reasons = this.getNotReadyReasons(report);
+
+    return {
+      status: 200,
+      body: { status: reasons.length === 0 ? 'ok' : 'degraded', ...report, reasons }
+    };
+  }
+
+  // GET /ready - 503 when the database is unreachable or runs have been
+  // failing for longer than READY_MAX_FAILING_MINUTES
+  async readiness() {
+    const report = await this.getReport();
+    const reasons = this.getNotReadyReasons(report);
+    const ready = reasons.length === 0;
+
+    return {
+      status: ready ? 200 : 503,
+      body: { ready, ...report, reasons }
+    };
+  }
+}
+
+module.exports = { HealthMonitor };
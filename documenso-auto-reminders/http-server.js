@@ -0,0 +1,160 @@
+const http = require('http');
+const { URL } = require('url');
+const { logger } = require('./logger');
+
+const MAX_BODY_BYTES = 1024 * 1024; // 1 MB is plenty for Documenso webhook payloads
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class HttpServer {
+  constructor(options = {}) {
+    this.port = options.port;
+    this.host = options.host;
+    this.routes = [];
+    this.log = logger.child({ component: 'http' });
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // Register a handler for a method and path. Path segments starting with ':'
+  // are captured into ctx.params (e.g. '/api/documents/:id').
+  route(method, path, handler) {
+    const segments = path.split('/').filter(Boolean);
+    this.routes.push({ method: method.toUpperCase(), segments, handler });
+    return this;
+  }
+
+  matchRoute(method, pathname) {
+    const parts = pathname.split('/').filter(Boolean);
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      if (route.segments.length !== parts.length) continue;
+
+      const params = {};
+      const matches = route.segments.every((segment, i) => {
+        if (segment.startsWith(':')) {
+          params[segment.slice(1)] = decodeURIComponent(parts[i]);
+          return true;
+        }
+        return segment === parts[i];
+      });
+
+      if (!matches) continue;
+      pathMatched = true;
+
+      if (route.method === method) {
+        return { route, params };
+      }
+    }
+
+    return { route: null, pathMatched };
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  async handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const { route, params, pathMatched } = this.matchRoute(req.method, url.pathname);
+
+      if (!route) {
+        throw new HttpError(pathMatched ? 405 : 404, pathMatched ? 'Method not allowed' : 'Not found');
+      }
+
+      const rawBody = await this.readBody(req);
+      let body = null;
+
+      if (rawBody && (req.headers['content-type'] || '').includes('application/json')) {
+        try {
+          body = JSON.parse(rawBody);
+        } catch (error) {
+          throw new HttpError(400, 'Invalid JSON body');
+        }
+      }
+
+      const result = await route.handler({
+        req,
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        params,
+        rawBody,
+        body
+      });
+
+      this.send(res, result || { status: 204 });
+    } catch (error) {
+      const status = error.status || 500;
+      if (status >= 500) {
+        this.log.error(`❌ HTTP ${req.method} ${req.url} failed`, { error });
+      }
+      this.send(res, { status, body: { error: status >= 500 ? 'Internal server error' : error.message } });
+    }
+  }
+
+  // Handlers return { status, body, headers }. Objects are sent as JSON,
+  // strings as-is with the given (or plain text) content type.
+  send(res, { status = 200, body = null, headers = {} }) {
+    if (body === null || body === undefined) {
+      res.writeHead(status, headers);
+      res.end();
+      return;
+    }
+
+    const isText = typeof body === 'string';
+    const payload = isText ? body : JSON.stringify(body);
+
+    res.writeHead(status, {
+      'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json',
+      ...headers
+    });
+    res.end(payload);
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server.listening) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      // Keep-alive connections would otherwise hold close() up
+      if (this.server.closeIdleConnections) this.server.closeIdleConnections();
+    });
+  }
+}
+
+module.exports = { HttpServer, HttpError };
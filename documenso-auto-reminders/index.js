@@ -3,7 +3,19 @@
 const cron = require('node-cron');
 const { DateTime } = require('luxon');
 const ReminderService = require('./reminder-service');
+const { HttpServer } = require('./http-server');
+const { WebhookReceiver } = require('./webhook-receiver');
+const { AdminApi } = require('./admin-api');
+const { OptOutPage } = require('./opt-out');
+const { HealthMonitor } = require('./health');
+const { registerMetricsEndpoint } = require('./metrics');
+const { Migrator } = require('./migrator');
+const { createStorage } = require('./storage');
+const { DeliveryMode } = require('./reminder-templates');
 const config = require('./config');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'main' });
 
 // Command line arguments
 const args = process.argv.slice(2);
@@ -12,8 +24,18 @@ const isSetup = args.includes('--setup');
 const isStatus = args.includes('--status');
 const isOneTime = args.includes('--once');
 const isEnroll = args.includes('--enroll');
+const isCleanup = args.includes('--cleanup');
+const isExplain = args.includes('--explain');
+const isDigest = args.includes('--digest');
+const isPreview = args.includes('--preview');
 const isHelp = args.includes('--help') || args.includes('-h');
 
+// Value following an option, e.g. "--days 180"
+function optionValue(name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
 function showHelp() {
   console.log(`
 🔔 Documenso Auto-Reminders System
@@ -22,20 +44,30 @@ function showHelp() {
 Usage: node index.js [options]
 
 Options:
-  --setup         Initialize the database and test API connection
+  --setup         Apply database migrations and test API connection
   --dry-run       Check what reminders would be sent without sending them
   --once          Run reminder check once and exit (no cron)
   --enroll        Auto-enroll pending documents for reminders
   --status        Show system status and statistics
+  --cleanup       Remove old history of finished documents (RETENTION_DAYS)
+                  [--days <n>] [--archive <dir>] [--dry-run to preview]
+  --explain <id>  Show which enrollment rule decides about a document, and why
+  --digest        Email each document owner a digest now (--dry-run to print them)
+  --preview <id>  Show the reminder emails a document's recipients would get next
+                  with REMINDER_DELIVERY=smtp [--lang <code>] [--step <name>]
   --help, -h      Show this help message
 
 Default behavior:
   Runs as a scheduled service using cron (${config.reminders.cronSchedule})
+  With WEBHOOKS_ENABLED=true, also receives Documenso webhooks and only
+  polls for new documents on ${config.reminders.reconcileCronSchedule}
   
 Configuration:
   Base URL: ${config.documenso.baseUrl}
-  Reminder interval: Every ${config.reminders.intervalDays} days
+  Reminder interval: Every ${config.reminders.intervalDays} ${config.reminders.businessDaysOnly ? 'business ' : ''}days
+  Quiet hours: ${config.reminders.quietHours || 'none'}
   Max reminders: ${config.reminders.maxReminders}
+  Escalation policy: ${config.escalation.defaultPolicy || 'none (interval cadence)'}
   Schedule: ${config.reminders.cronSchedule}
 
 Examples:
@@ -43,31 +75,47 @@ Examples:
   node index.js --dry-run         # See what would happen
   node index.js --once            # Run once
   node index.js --enroll --once   # Enroll new docs and exit
+  node index.js --cleanup --days 365 --dry-run  # Preview a cleanup
+  node index.js --explain 123     # Why is document 123 (not) enrolled?
+  node index.js --digest --dry-run  # Preview owner digests
+  node index.js --preview 123 --lang fr  # Preview reminder emails in French
   node index.js                   # Start scheduled service
 `);
 }
 
 async function setup() {
-  console.log('🔧 Setting up Documenso Auto-Reminders...\n');
+  log.info('🔧 Setting up Documenso Auto-Reminders...');
+
+  // Bring the schema up to date before anything opens the database
+  const storage = createStorage(config.database);
+  try {
+    const applied = await new Migrator(storage).migrate();
+    log.info(`🗄️  Database ready (${storage.describe()}), ${applied.length} migration(s) applied`);
+  } catch (error) {
+    log.error('❌ Database migration failed', { error });
+    process.exit(1);
+  } finally {
+    await storage.close();
+  }
   
   const service = new ReminderService();
   
   try {
     // Test API connection
-    console.log('🔗 Testing API connection...');
-    const health = await service.api.healthCheck();
+    log.info('🔗 Testing API connection...');
+    const health = await service.checkApiHealth();
     
     if (health.healthy) {
-      console.log('✅ API connection successful');
+      log.info('✅ API connection successful');
     } else {
-      console.log('❌ API connection failed:', health.error);
-      console.log('💡', health.suggestion);
+      log.error('❌ API connection failed', { error: health.error });
+      log.info(`💡 ${health.suggestion}`);
       process.exit(1);
     }
 
     // Auto-enroll existing pending documents
-    console.log('\n📋 Auto-enrolling existing pending documents...');
-    const enrolled = await service.autoEnrollPendingDocuments();
+    log.info('📋 Auto-enrolling existing pending documents...');
+    await service.autoEnrollPendingDocuments();
     
     // Show status
     console.log('\n📊 Current status:');
@@ -80,7 +128,7 @@ async function setup() {
     console.log('   • npm run stop-reminders (manage reminders)');
     
   } catch (error) {
-    console.error('❌ Setup failed:', error.message);
+    log.error('❌ Setup failed', { error });
     process.exit(1);
   } finally {
     service.close();
@@ -95,21 +143,22 @@ async function runOnce(dryRun = false) {
       service.setDryRun(true);
     }
 
-    // Auto-enroll new documents if requested
-    if (isEnroll) {
-      await service.autoEnrollPendingDocuments();
+    // Auto-enroll new documents if requested, then process reminders
+    const run = await service.runCycle({ enroll: isEnroll, trigger: 'cli' });
+
+    // The run lock is held by another instance: nothing went wrong
+    if (!run) {
+      log.info('⏭️  Another instance is running reminders; this run was skipped');
+      return null;
     }
 
-    // Process reminders
-    const result = await service.processReminders();
-    
     if (dryRun) {
-      console.log('\n🔍 This was a dry run - no actual emails were sent');
+      log.info('🔍 This was a dry run - no actual emails were sent');
     }
     
-    return result;
+    return run.result;
   } catch (error) {
-    console.error('❌ Error:', error.message);
+    log.error('❌ Error', { error });
     process.exit(1);
   } finally {
     service.close();
@@ -126,14 +175,28 @@ async function showStatus() {
     
     console.log('🔗 API Status:');
     console.log(`   • Connection: ${status.api.healthy ? '✅ Healthy' : '❌ Failed'}`);
+    console.log(`   • Client limits: ${config.documenso.rateLimit} requests/s (burst ${config.documenso.rateBurst}), ${config.documenso.concurrency} at a time`);
     if (!status.api.healthy) {
       console.log(`   • Error: ${status.api.error}`);
     }
     
     console.log('\n📈 Database Stats:');
+    console.log(`   • Storage: ${service.db.storage.describe()}`);
     console.log(`   • Active documents: ${status.database.activeDocuments}`);
     console.log(`   • Total reminders sent: ${status.database.totalReminders}`);
     console.log(`   • Stopped documents: ${status.database.stoppedDocuments}`);
+    console.log(`   • Recipients who opted out: ${status.database.optedOutRecipients}`);
+    console.log(`   • Snoozes in effect: ${status.database.activeSnoozes}`);
+    console.log(`   • Resends waiting for retry: ${status.database.pendingRetries}`);
+    console.log(`   • Dead letters: ${status.database.deadLetters}${status.database.deadLetters > 0 ? ' (see: node stop-reminders.js retries)' : ''}`);
+
+    const optOuts = (await service.db.getStoppedReminders()).filter(stop => stop.stopped_by === 'recipient');
+    if (optOuts.length > 0) {
+      console.log('\n🙅 Latest opt-outs:');
+      for (const stop of optOuts.slice(0, 10)) {
+        console.log(`   • Document ${stop.document_id}, recipient ${stop.recipient_id}: ${stop.stopped_at}`);
+      }
+    }
     
     console.log('\n📋 Pending Documents:');
     console.log(`   • In Documenso: ${status.pending.documentsInDocumenso}`);
@@ -142,69 +205,378 @@ async function showStatus() {
     
     console.log('\n⏰ Schedule:');
     console.log(`   • Cron pattern: ${config.reminders.cronSchedule}`);
-    console.log(`   • Reminder interval: Every ${config.reminders.intervalDays} days`);
-    console.log(`   • Max reminders per document: ${config.reminders.maxReminders}`);
+    console.log(`   • Reminder interval: Every ${config.reminders.intervalDays} ${config.reminders.businessDaysOnly ? 'business ' : ''}days`);
+    const calendar = service.calendar.describe();
+    console.log(`   • Working days: ${calendar.workingDays}${calendar.businessDaysOnly ? `, ${calendar.holidays} holidays` : ' (not enforced)'}`);
+    console.log(`   • Reminder time: ${calendar.reminderTime} (${calendar.timezone}), quiet hours: ${calendar.quietHours}`);
+    console.log(`   • Max reminders per recipient: ${config.reminders.maxReminders}`);
+    console.log(`   • Default escalation policy: ${config.escalation.defaultPolicy || 'none (interval cadence)'}`);
+    const lastRun = await service.db.getLastRun();
+    console.log(`   • Last run: ${lastRun ? `${lastRun.started_at} (${lastRun.trigger}, ${lastRun.status})` : 'none recorded'}`);
+    const lock = await service.db.getLock(service.runLock.name);
+    const lockHeld = lock && new Date(lock.expires_at) > new Date();
+    console.log(`   • Run lock: ${lockHeld ? `held by ${lock.owner} until ${lock.expires_at}` : 'free'}`);
     
     console.log(`\n🕒 Last checked: ${status.timestamp}`);
     
   } catch (error) {
-    console.error('❌ Error getting status:', error.message);
+    log.error('❌ Error getting status', { error });
     process.exit(1);
   } finally {
     service.close();
   }
 }
 
+async function cleanup() {
+  const service = new ReminderService();
+  const daysOld = optionValue('--days') ? parseInt(optionValue('--days')) : config.retention.days;
+
+  try {
+    const result = await service.cleanup({
+      daysOld,
+      archiveDir: optionValue('--archive') || config.retention.archiveDir,
+      dryRun: isDryRun
+    });
+    if (!result) return;
+
+    console.log(`\n🧹 ${result.dryRun ? 'Would remove' : 'Removed'} rows older than ${result.cutoff} (${result.daysOld} days)`);
+    for (const document of result.documents) {
+      console.log(`   • Document ${document.documentId}: ${document.history} history rows, ${document.stops} stop records`);
+    }
+    console.log(`   Total: ${result.history} history rows, ${result.stops} stop records`);
+    if (result.archive) {
+      console.log(`   Archive: ${result.archive}`);
+    }
+  } catch (error) {
+    log.error('❌ Cleanup failed', { error });
+    process.exitCode = 1;
+  } finally {
+    service.close();
+  }
+}
+
+async function sendDigests() {
+  const service = new ReminderService();
+
+  try {
+    const result = await service.sendOwnerDigests({ dryRun: isDryRun });
+    if (!result) return;
+
+    if (result.digests.length === 0) {
+      console.log('\nℹ️  No owner has pending documents or automatic stops to hear about');
+    }
+    for (const digest of result.digests) {
+      if (result.dryRun) {
+        console.log(`\n📬 To: ${digest.to}\n   Subject: ${digest.subject}\n`);
+        console.log(digest.text.split('\n').map(line => `   ${line}`).join('\n'));
+      } else {
+        console.log(`📬 ${digest.to}: ${digest.subject}`);
+      }
+    }
+    if (result.failed > 0) process.exitCode = 1;
+  } catch (error) {
+    log.error('❌ Sending digests failed', { error });
+    process.exitCode = 1;
+  } finally {
+    service.close();
+  }
+}
+
+async function explain() {
+  const documentId = parseInt(optionValue('--explain'));
+  if (!Number.isInteger(documentId)) {
+    log.error('❌ Usage: node index.js --explain <documentId>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const service = new ReminderService();
+
+  try {
+    const { document, tracked, decision } = await service.explainEnrollment(documentId);
+
+    console.log(`🧭 Enrollment of document ${documentId}: "${document.title || 'Untitled Document'}"\n`);
+    console.log(`   Status: ${document.status}, owner ${document.userId}${document.teamId ? `, team ${document.teamId}` : ''}`);
+    console.log(`   External ID: ${document.externalId || '(none)'}, created ${document.createdAt}`);
+
+    if (!service.enrollmentRules) {
+      console.log('\n   No ENROLLMENT_RULES_FILE: every pending document is enrolled');
+    } else {
+      console.log(`\n📜 Rules (${config.enrollment.rulesFile}):`);
+      for (const { rule, matched, checks } of decision.evaluated) {
+        console.log(`   ${matched ? '✅' : '❌'} ${rule.name} (${rule.action}${rule.policy ? `, policy ${rule.policy}` : ''})`);
+        if (checks.length === 0) {
+          console.log('      • no conditions, matches every document');
+        }
+        for (const check of checks) {
+          console.log(`      ${check.matched ? '✓' : '✗'} ${check.detail}`);
+        }
+      }
+      const notTried = service.enrollmentRules.rules.length - decision.evaluated.length;
+      if (notTried > 0) {
+        console.log(`   … ${notTried} later rule(s) not tried`);
+      }
+    }
+
+    const verdict = decision.rule
+      ? `rule "${decision.rule.name}" ${decision.include ? 'includes' : 'excludes'} it`
+      : service.enrollmentRules ? `no rule matched, the default ${decision.include ? 'includes' : 'excludes'} it` : 'included';
+    console.log(`\n➡️  Decision: ${decision.include ? 'enroll' : 'leave out'} (${verdict})${decision.policy ? `, with policy "${decision.policy}"` : ''}`);
+
+    if (document.status !== 'PENDING') {
+      console.log(`   Only pending documents are enrolled; this one is ${document.status}`);
+    }
+    if (tracked) {
+      console.log(`   Already enrolled since ${tracked.created_at} (${tracked.enabled ? 'active' : `stopped: ${tracked.stopped_reason}`}); rules only decide about new documents`);
+    }
+  } catch (error) {
+    log.error(`❌ Could not explain enrollment of document ${documentId}`, { error });
+    process.exitCode = 1;
+  } finally {
+    service.close();
+  }
+}
+
+async function preview() {
+  const documentId = parseInt(optionValue('--preview'));
+  if (!Number.isInteger(documentId)) {
+    log.error('❌ Usage: node index.js --preview <documentId> [--lang <code>] [--step <name>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const service = new ReminderService();
+
+  try {
+    const { document, tracked, previews } = await service.previewReminders(documentId, {
+      language: optionValue('--lang'),
+      stepName: optionValue('--step')
+    });
+
+    console.log(`✉️  Reminder emails for document ${documentId}: "${document.title || 'Untitled Document'}"`);
+    if (config.delivery.mode !== DeliveryMode.SMTP) {
+      console.log('   REMINDER_DELIVERY is documenso: these are only sent with REMINDER_DELIVERY=smtp');
+    }
+    if (!tracked) {
+      console.log('   Not enrolled yet: showing each recipient\'s first reminder');
+    }
+    if (previews.length === 0) {
+      console.log(`\n   Nobody to remind (document is ${document.status})`);
+    }
+
+    for (const { recipient, reminder, stepName, email } of previews) {
+      console.log(`\n────────────────────────────────────────────────────────────`);
+      console.log(`To:       ${recipient.name ? `${recipient.name} <${recipient.email}>` : recipient.email}`);
+      console.log(`Reminder: #${reminder.reminder_count + 1} of ${reminder.max_reminders}${stepName ? `, step "${stepName}"` : ''}`);
+      console.log(`Template: ${email.file} (${email.language})`);
+      console.log(`Subject:  ${email.subject}\n`);
+      console.log(email.text);
+    }
+  } catch (error) {
+    log.error(`❌ Could not preview reminders for document ${documentId}`, { error });
+    process.exitCode = 1;
+  } finally {
+    service.close();
+  }
+}
+
 async function startScheduledService() {
-  console.log('🚀 Starting Documenso Auto-Reminders Service');
-  console.log(`📅 Schedule: ${config.reminders.cronSchedule} (${config.reminders.timezone})`);
-  console.log(`🔔 Reminder interval: Every ${config.reminders.intervalDays} days`);
-  console.log(`📧 Max reminders per document: ${config.reminders.maxReminders}`);
-  console.log(`🌐 Documenso URL: ${config.documenso.baseUrl}\n`);
-
-  // Validate cron schedule
-  if (!cron.validate(config.reminders.cronSchedule)) {
-    console.error('❌ Invalid cron schedule:', config.reminders.cronSchedule);
+  log.info('🚀 Starting Documenso Auto-Reminders Service');
+  log.info(`📅 Schedule: ${config.reminders.cronSchedule} (${config.reminders.timezone})`);
+  log.info(`🔔 Reminder interval: Every ${config.reminders.intervalDays} ${config.reminders.businessDaysOnly ? 'business ' : ''}days`);
+  log.info(`📧 Max reminders per recipient: ${config.reminders.maxReminders}`);
+  log.info(`🌐 Documenso URL: ${config.documenso.baseUrl}`);
+  log.info(`🚦 API limits: ${config.documenso.rateLimit} requests/s (burst ${config.documenso.rateBurst}), ${config.documenso.concurrency} at a time`);
+  if (config.enrollment.rulesFile) {
+    log.info(`📜 Enrollment rules: ${config.enrollment.rulesFile}`);
+  }
+  if (config.notifications.channelsFile) {
+    log.info(`💬 Notification channels: ${config.notifications.channelsFile}`);
+  }
+  if (config.delivery.mode === DeliveryMode.SMTP) {
+    log.info(`✉️  Reminders sent by email from templates in ${config.delivery.templatesDir} (default language ${config.delivery.defaultLanguage})`);
+  }
+  if (config.optOut.enabled) {
+    log.info(`🙅 Opt-out links: ${config.optOut.publicUrl}${config.optOut.path}/..., valid ${config.optOut.linkDays} days`);
+  }
+
+  // Validate cron schedules
+  for (const schedule of [config.reminders.cronSchedule, config.reminders.reconcileCronSchedule, config.retries.cronSchedule, config.retention.cronSchedule, config.digest.cronSchedule]) {
+    if (!cron.validate(schedule)) {
+      log.error('❌ Invalid cron schedule', { schedule });
+      process.exit(1);
+    }
+  }
+
+  // One long-lived service shared by the cron jobs and the webhook receiver
+  const service = new ReminderService();
+
+  // Refuse to start on a schema that isn't up to date (the database logs why)
+  try {
+    await service.db.ready;
+  } catch (error) {
     process.exit(1);
   }
+  if (service.calendar.runsOnlyBeforeReminderTime(config.reminders.cronSchedule)) {
+    log.warn(`⚠️  CRON_SCHEDULE has days whose last run is before REMINDER_TIME (${config.reminders.reminderTime}); reminders due on those days go out a day late. Schedule a run at or after ${config.reminders.reminderTime}.`);
+  }
+
+  const tasks = [];
+  const server = new HttpServer({ port: config.server.port, host: config.server.host });
+
+  new HealthMonitor(service, {
+    cronSchedule: config.reminders.cronSchedule,
+    timezone: config.reminders.timezone,
+    maxFailingMinutes: config.health.maxFailingMinutes
+  }).register(server);
 
-  // Schedule the reminder job
-  const task = cron.schedule(config.reminders.cronSchedule, async () => {
-    console.log(`\n⏰ [${DateTime.now().toFormat('yyyy-MM-dd HH:mm:ss')}] Running scheduled reminder check...`);
+  if (config.metrics.enabled) {
+    registerMetricsEndpoint(server, config.metrics.path, service.db);
+  }
+  if (config.webhooks.enabled) {
+    new WebhookReceiver(service, { secret: config.webhooks.secret }).register(server, config.webhooks.path);
+  }
+  if (config.admin.enabled) {
+    new AdminApi(service, { token: config.admin.token }).register(server, '/api');
+  }
+  if (config.optOut.enabled) {
+    new OptOutPage(service, { secret: config.optOut.secret }).register(server, config.optOut.path);
+  }
+
+  try {
+    await server.start();
+  } catch (error) {
+    log.error(`❌ Could not start HTTP server on port ${config.server.port}`, { error });
+    process.exit(1);
+  }
+
+  const baseUrl = `http://${config.server.host}:${config.server.port}`;
+  log.info(`❤️  Health checks on ${baseUrl}/health and ${baseUrl}/ready`);
+  if (config.metrics.enabled) {
+    log.info(`📈 Prometheus metrics on ${baseUrl}${config.metrics.path}`);
+  }
+  if (config.webhooks.enabled) {
+    log.info(`📨 Webhook receiver listening on ${baseUrl}${config.webhooks.path}`);
+    log.info(`🔁 Reconciliation polling: ${config.reminders.reconcileCronSchedule}`);
+  }
+  if (config.admin.enabled) {
+    log.info(`🛠️  Admin API listening on ${baseUrl}/api`);
+  }
+  log.info(`⏪ Missed runs: catch-up policy "${config.catchUp.policy}"${config.catchUp.policy === 'spread' ? ` over ${config.catchUp.spreadHours} hours` : ''}`);
+  log.info(`🔁 Failed resends retried on ${config.retries.cronSchedule}, up to ${config.retries.maxAttempts} attempts`);
+  if (config.retention.days) {
+    log.info(`🧹 History of finished documents removed after ${config.retention.days} days, on ${config.retention.cronSchedule}${config.retention.archiveDir ? ` (archived to ${config.retention.archiveDir})` : ''}`);
+  }
+  if (config.digest.enabled) {
+    log.info(`📬 Owner digests on ${config.digest.cronSchedule}${service.digestMailer.isConfigured() ? '' : ' (SMTP is not configured, they will fail)'}`);
+  }
+
+  // Schedule the reminder job. With webhooks enabled, new documents arrive via
+  // DOCUMENT_SENT and polling only runs on the slower reconciliation schedule.
+  tasks.push(cron.schedule(config.reminders.cronSchedule, async () => {
+    log.info(`⏰ [${DateTime.now().toFormat('yyyy-MM-dd HH:mm:ss')}] Running scheduled reminder check...`);
     
-    const service = new ReminderService();
     try {
-      // Auto-enroll new documents first
-      await service.autoEnrollPendingDocuments();
-      
-      // Process reminders
-      await service.processReminders();
-      
+      const run = await service.runCycle({ enroll: !config.webhooks.enabled });
+      if (!run) {
+        log.warn('⏭️  Previous run still in progress, skipping this one');
+      }
     } catch (error) {
-      console.error('❌ Scheduled reminder failed:', error.message);
-    } finally {
-      service.close();
+      log.error('❌ Scheduled reminder failed', { error });
     }
   }, {
     scheduled: true,
     timezone: config.reminders.timezone
-  });
+  }));
 
-  // Graceful shutdown
-  process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down gracefully...');
-    task.stop();
-    process.exit(0);
-  });
+  // Failed resends come back on their own, more frequent schedule
+  tasks.push(cron.schedule(config.retries.cronSchedule, async () => {
+    try {
+      await service.runRetries();
+    } catch (error) {
+      log.error('❌ Retrying failed resends failed', { error });
+    }
+  }, {
+    scheduled: true,
+    timezone: config.reminders.timezone
+  }));
+
+  // Retention cleanup only runs once RETENTION_DAYS is set
+  if (config.retention.days) {
+    tasks.push(cron.schedule(config.retention.cronSchedule, async () => {
+      try {
+        await service.cleanup();
+      } catch (error) {
+        log.error('❌ Cleanup failed', { error });
+      }
+    }, {
+      scheduled: true,
+      timezone: config.reminders.timezone
+    }));
+  }
+
+  if (config.digest.enabled) {
+    tasks.push(cron.schedule(config.digest.cronSchedule, async () => {
+      try {
+        await service.sendOwnerDigests({ scheduled: true });
+      } catch (error) {
+        log.error('❌ Sending digests failed', { error });
+      }
+    }, {
+      scheduled: true,
+      timezone: config.reminders.timezone
+    }));
+  }
+
+  if (config.webhooks.enabled) {
+    tasks.push(cron.schedule(config.reminders.reconcileCronSchedule, async () => {
+      log.info(`🔁 [${DateTime.now().toFormat('yyyy-MM-dd HH:mm:ss')}] Reconciling enrolled documents with Documenso...`);
+
+      try {
+        await service.autoEnrollPendingDocuments();
+      } catch (error) {
+        log.error('❌ Reconciliation failed', { error });
+      }
+    }, {
+      scheduled: true,
+      timezone: config.reminders.timezone
+    }));
+  }
+
+  // Graceful shutdown: no new cron ticks, webhooks or runs; documents in
+  // progress get SHUTDOWN_TIMEOUT_SECONDS to finish. A second signal exits
+  // right away.
+  let shuttingDown = false;
+  const shutdown = async (message) => {
+    if (shuttingDown) {
+      log.warn('⚠️  Forced shutdown');
+      process.exit(1);
+    }
+    shuttingDown = true;
+
+    log.info(message);
+    tasks.forEach(task => task.stop());
+    const [finished] = await Promise.all([
+      service.shutdown({ timeoutSeconds: config.shutdown.timeoutSeconds }),
+      server.stop()
+    ]);
 
-  process.on('SIGTERM', () => {
-    console.log('\n🛑 Received SIGTERM, shutting down...');
-    task.stop();
+    log.info(finished ? '👋 Shutdown complete' : '👋 Shutdown complete, with work left for the next run');
     process.exit(0);
-  });
+  };
+
+  process.on('SIGINT', () => shutdown('🛑 Shutting down gracefully...'));
+  process.on('SIGTERM', () => shutdown('🛑 Received SIGTERM, shutting down...'));
+
+  // node-cron doesn't fire for ticks missed while the process was down
+  service.catchUp({
+    cronSchedule: config.reminders.cronSchedule,
+    timezone: config.reminders.timezone,
+    enroll: !config.webhooks.enabled
+  }).catch(error => log.error('❌ Catching up on missed runs failed', { error }));
 
-  console.log('✅ Service started! Press Ctrl+C to stop.');
-  console.log('📊 Use --status to check current status');
+  log.info('✅ Service started! Press Ctrl+C to stop.');
+  log.info('📊 Use --status to check current status');
 
   // Keep the process alive
   process.stdin.resume();
@@ -227,6 +599,26 @@ async function main() {
     return;
   }
 
+  if (isCleanup) {
+    await cleanup();
+    return;
+  }
+
+  if (isExplain) {
+    await explain();
+    return;
+  }
+
+  if (isDigest) {
+    await sendDigests();
+    return;
+  }
+
+  if (isPreview) {
+    await preview();
+    return;
+  }
+
   if (isOneTime) {
     await runOnce(isDryRun);
     return;
@@ -243,6 +635,6 @@ async function main() {
 
 // Run the application
 main().catch(error => {
-  console.error('❌ Application error:', error.message);
+  log.error('❌ Application error', { error });
   process.exit(1);
 }); 
\ No newline at end of file
@@ -0,0 +1,110 @@
+const config = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Keys that are only worth printing in JSON output
+const JSON_ONLY_KEYS = ['component'];
+
+function serializeError(error) {
+  if (!(error instanceof Error)) return { message: String(error) };
+
+  const serialized = { message: error.message };
+  if (error.status) serialized.status = error.status;
+  if (error.response && error.response.status) serialized.status = error.response.status;
+  if (error.stack) serialized.stack = error.stack;
+  return serialized;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(',');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Leveled logger with pretty (terminal) and JSON (one object per line)
+// output. child() adds context such as documentId or runId to every line.
+class Logger {
+  constructor(options = {}) {
+    this.level = options.level in LEVELS ? options.level : 'info';
+    this.format = options.format === 'json' ? 'json' : 'pretty';
+    this.context = options.context || {};
+  }
+
+  child(context) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      context: { ...this.context, ...context }
+    });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  // fields.error may be an Error; everything else is context for this line
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const { error, ...rest } = fields;
+    const context = {};
+    for (const [key, value] of Object.entries({ ...this.context, ...rest })) {
+      if (value !== undefined && value !== null) context[key] = value;
+    }
+
+    const line = this.format === 'json'
+      ? this.formatJson(level, message, context, error)
+      : this.formatPretty(level, message, context, error);
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  formatJson(level, message, context, error) {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      // Emoji are for terminals
+      msg: message.replace(/^[\p{Extended_Pictographic}\uFE0F\u200D\s]+/u, ''),
+      ...context
+    };
+    if (error) entry.error = serializeError(error);
+    return JSON.stringify(entry);
+  }
+
+  formatPretty(level, message, context, error) {
+    let line = message;
+    if (error) line += `: ${error instanceof Error ? error.message : error}`;
+
+    const pairs = Object.entries(context)
+      .filter(([key]) => !JSON_ONLY_KEYS.includes(key))
+      .map(([key, value]) => `${key}=${formatValue(value)}`);
+    if (pairs.length > 0) line += ` [${pairs.join(' ')}]`;
+
+    // Stack traces only when debugging
+    if (this.level === 'debug' && error instanceof Error && error.stack) {
+      line += `\n${error.stack}`;
+    }
+    return line;
+  }
+}
+
+const logger = new Logger({ level: config.logging.level, format: config.logging.format });
+
+module.exports = { Logger, logger, LEVELS };
@@ -0,0 +1,158 @@
+const client = require('prom-client');
+
+// One registry for the whole process; modules record into the metrics below
+// and /metrics renders it
+const register = new client.Registry();
+const PREFIX = 'documenso_reminders_';
+
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// Why a reminder wasn't sent. Each is counted once, when it happens;
+// stopped and snoozed recipients are gauges instead, as every run skips them.
+const SkipReason = {
+  MAX_REACHED: 'max_reached',
+  COMPLETED: 'completed',
+  REJECTED: 'rejected',
+  NOT_FOUND: 'not_found' // document deleted in Documenso
+};
+
+const remindersSent = new client.Counter({
+  name: `${PREFIX}sent_total`,
+  help: 'Reminders sent to recipients',
+  labelNames: ['mode'], // interval or escalation
+  registers: [register]
+});
+
+const remindersFailed = new client.Counter({
+  name: `${PREFIX}failed_total`,
+  help: 'Reminders Documenso refused or that could not be sent',
+  labelNames: ['mode'],
+  registers: [register]
+});
+
+const remindersSkipped = new client.Counter({
+  name: `${PREFIX}skipped_total`,
+  help: 'Reminders not sent, by reason',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const retries = new client.Counter({
+  name: `${PREFIX}retries_total`,
+  help: 'Failed resends queued for retry, retried successfully, or given up on',
+  labelNames: ['outcome'], // scheduled, succeeded or dead
+  registers: [register]
+});
+
+const documentsEnrolled = new client.Counter({
+  name: `${PREFIX}documents_enrolled_total`,
+  help: 'Documents enrolled for reminders',
+  labelNames: ['source'], // poll or webhook
+  registers: [register]
+});
+
+const notifications = new client.Counter({
+  name: `${PREFIX}notifications_total`,
+  help: 'Notifications posted to chat and webhook channels',
+  labelNames: ['channel', 'event', 'outcome'], // outcome: sent or failed
+  registers: [register]
+});
+
+const apiErrors = new client.Counter({
+  name: `${PREFIX}api_errors_total`,
+  help: 'Failed Documenso API requests, by HTTP status code ("network" when there was no response)',
+  labelNames: ['status'],
+  registers: [register]
+});
+
+const apiLatency = new client.Histogram({
+  name: `${PREFIX}api_request_duration_seconds`,
+  help: 'Documenso API request latency',
+  labelNames: ['method', 'endpoint'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const runDuration = new client.Histogram({
+  name: `${PREFIX}run_duration_seconds`,
+  help: 'Duration of reminder runs',
+  labelNames: ['outcome'], // success or failure
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+  registers: [register]
+});
+
+const activeDocuments = new client.Gauge({
+  name: `${PREFIX}active_documents`,
+  help: 'Documents with reminders enabled',
+  registers: [register]
+});
+
+const stoppedDocuments = new client.Gauge({
+  name: `${PREFIX}stopped_documents`,
+  help: 'Documents whose reminders are stopped',
+  registers: [register]
+});
+
+const stoppedRecipients = new client.Gauge({
+  name: `${PREFIX}stopped_recipients`,
+  help: 'Recipients of active documents whose reminders are stopped',
+  registers: [register]
+});
+
+const snoozedRecipients = new client.Gauge({
+  name: `${PREFIX}snoozed_recipients`,
+  help: 'Recipients of active documents whose reminders are snoozed',
+  registers: [register]
+});
+
+const pendingRetries = new client.Gauge({
+  name: `${PREFIX}pending_retries`,
+  help: 'Failed resends waiting for their next attempt',
+  registers: [register]
+});
+
+const deadLetters = new client.Gauge({
+  name: `${PREFIX}dead_letters`,
+  help: 'Failed resends given up on, waiting in the dead-letter list',
+  registers: [register]
+});
+
+// Collapse IDs so that latency has one series per endpoint, not per document
+function endpointLabel(url) {
+  return String(url || '').split('?')[0].replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+// Serve the registry in Prometheus text format on an HttpServer
+function registerMetricsEndpoint(server, path, db) {
+  server.route('GET', path, async () => {
+    const stats = await db.getStats();
+    activeDocuments.set(stats.activeDocuments);
+    stoppedDocuments.set(stats.stoppedDocuments);
+    stoppedRecipients.set(stats.stoppedRecipients);
+    snoozedRecipients.set(stats.snoozedRecipients);
+    pendingRetries.set(stats.pendingRetries);
+    deadLetters.set(stats.deadLetters);
+
+    return {
+      status: 200,
+      body: await register.metrics(),
+      headers: { 'Content-Type': register.contentType }
+    };
+  });
+}
+
+module.exports = {
+  register,
+  SkipReason,
+  remindersSent,
+  remindersFailed,
+  remindersSkipped,
+  retries,
+  documentsEnrolled,
+  notifications,
+  apiErrors,
+  apiLatency,
+  runDuration,
+  endpointLabel,
+  registerMetricsEndpoint
+};
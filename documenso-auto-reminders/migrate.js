@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+const config = require('./config');
+const { createStorage } = require('./storage');
+const { Migrator, migrationLabel } = require('./migrator');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'migrate' });
+
+// Command line arguments
+const args = process.argv.slice(2);
+const command = args[0] || 'up';
+
+function showHelp() {
+  console.log(`
+🗄️  Database Migrations
+======================
+
+Usage: node migrate.js [command]
+
+Commands:
+  up        Apply all pending migrations in one transaction (default)
+  status    List applied and pending migrations
+  help      Show this help
+
+The service refuses to start until every migration is applied.
+
+Examples:
+  npm run migrate
+  npm run migrate -- status
+`);
+}
+
+function printStatus(storage, { applied, pending, unknown }) {
+  console.log(`📦 Database: ${storage.describe()}\n`);
+
+  for (const migration of applied) {
+    const known = !unknown.includes(migration);
+    console.log(`   ${known ? '✅' : '❓'} ${migrationLabel(migration)} (applied ${migration.applied_at})${known ? '' : ' - unknown to this version'}`);
+  }
+  for (const migration of pending) {
+    console.log(`   ⏳ ${migrationLabel(migration)} (pending)`);
+  }
+
+  if (unknown.length > 0) {
+    console.log('\n❓ Database was migrated by a newer version of the service');
+  } else {
+    console.log(`\n${pending.length === 0 ? '✅ Schema is up to date' : `⏳ ${pending.length} pending migration(s)`}`);
+  }
+}
+
+async function showMigrationStatus(storage) {
+  const migrator = new Migrator(storage);
+  printStatus(storage, await migrator.status());
+}
+
+async function applyMigrations(storage) {
+  const migrator = new Migrator(storage);
+  const status = await migrator.status();
+
+  if (status.pending.length === 0 && status.unknown.length === 0) {
+    log.info(`✅ Database schema is up to date (${storage.describe()})`);
+    return;
+  }
+
+  printStatus(storage, status);
+  console.log('');
+
+  const applied = await migrator.migrate();
+  log.info(`✅ Applied ${applied.length} migration(s) to ${storage.describe()}`);
+}
+
+async function main() {
+  if (command === 'help' || command === '--help' || command === '-h') {
+    showHelp();
+    return;
+  }
+
+  const storage = createStorage(config.database);
+
+  try {
+    switch (command) {
+      case 'up':
+        await applyMigrations(storage);
+        break;
+
+      case 'status':
+        await showMigrationStatus(storage);
+        break;
+
+      default:
+        log.error(`❌ Unknown command: ${command}`);
+        showHelp();
+        process.exitCode = 1;
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(error => {
+  log.error('❌ Migration failed, nothing was changed', { error });
+  process.exit(1);
+});
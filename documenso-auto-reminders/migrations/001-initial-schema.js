@@ -0,0 +1,203 @@
+const { logger } = require('../logger');
+
+const log = logger.child({ component: 'migrations' });
+
+// SQLite files from before PostgreSQL support were upgraded on start, one
+// change at a time; bring them up to the schema below
+async function upgradeLegacySqlite(db) {
+  const documentColumns = await db.columnsOf('document_reminders');
+
+  if (!documentColumns.includes('signing_order')) {
+    log.info('🗄️  Upgrading database: adding document_reminders.signing_order');
+    await db.exec(`ALTER TABLE document_reminders ADD COLUMN signing_order TEXT NULL`);
+  }
+
+  if (!documentColumns.includes('last_checked_at')) {
+    log.info('🗄️  Upgrading database: adding document_reminders.last_checked_at');
+    await db.exec(`ALTER TABLE document_reminders ADD COLUMN last_checked_at TEXT NULL`);
+  }
+
+  if (!documentColumns.includes('policy')) {
+    log.info('🗄️  Upgrading database: adding escalation policy columns');
+    await db.exec(`
+      ALTER TABLE document_reminders ADD COLUMN policy TEXT NULL;
+      ALTER TABLE document_reminders ADD COLUMN escalation_step INTEGER DEFAULT 0;
+    `);
+  }
+
+  if (!(await db.columnsOf('recipient_reminders')).includes('escalation_step')) {
+    log.info('🗄️  Upgrading database: adding recipient_reminders.escalation_step');
+    await db.exec(`ALTER TABLE recipient_reminders ADD COLUMN escalation_step INTEGER DEFAULT 0`);
+  }
+
+  // Document-level sequential cadence is replaced by recipient_reminders
+  for (const column of ['current_recipient_id', 'cadence_started_at']) {
+    if (documentColumns.includes(column)) {
+      log.info(`🗄️  Upgrading database: dropping document_reminders.${column}`);
+      await db.exec(`ALTER TABLE document_reminders DROP COLUMN ${column}`);
+    }
+  }
+
+  // reminder_history used to store one row per document with a JSON
+  // recipient_ids array. Split it into one row per recipient and derive each
+  // recipient's count and last-sent time from their successful reminders.
+  const historyColumns = await db.columnsOf('reminder_history');
+
+  if (historyColumns.includes('recipient_ids')) {
+    log.info('🗄️  Upgrading database: converting reminder history to one row per recipient');
+    await db.exec(`
+      ALTER TABLE reminder_history RENAME TO reminder_history_legacy;
+
+      CREATE TABLE reminder_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER,
+        recipient_id INTEGER,
+        sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        reminder_count INTEGER,
+        success INTEGER DEFAULT 1,
+        error_message TEXT NULL,
+        step_name TEXT NULL,
+        FOREIGN KEY (document_id) REFERENCES document_reminders (document_id)
+      );
+
+      INSERT INTO reminder_history (document_id, recipient_id, sent_at, reminder_count, success, error_message)
+      SELECT legacy.document_id, recipient.value, legacy.sent_at, legacy.reminder_count, legacy.success, legacy.error_message
+      FROM reminder_history_legacy legacy, json_each(legacy.recipient_ids) recipient
+      ORDER BY legacy.id;
+
+      INSERT OR IGNORE INTO recipient_reminders
+        (document_id, recipient_id, reminder_count, max_reminders, last_sent_at, activated_at)
+      SELECT
+        rh.document_id,
+        rh.recipient_id,
+        SUM(rh.success),
+        dr.max_reminders,
+        MAX(CASE WHEN rh.success = 1 THEN rh.sent_at END),
+        MIN(rh.sent_at)
+      FROM reminder_history rh
+      JOIN document_reminders dr ON dr.document_id = rh.document_id
+      GROUP BY rh.document_id, rh.recipient_id;
+
+      DROP TABLE reminder_history_legacy;
+    `);
+  }
+}
+
+// The schema as it was when migrations were introduced. Databases created
+// before then already have some or all of it, so this adopts them as they are.
+module.exports = {
+  async up(db) {
+    // Tables are only created when missing. Keep this SQL valid for both
+    // SQLite and PostgreSQL.
+    await db.exec(`
+      -- Documents being tracked for reminders
+      CREATE TABLE IF NOT EXISTS document_reminders (
+        document_id INTEGER PRIMARY KEY,
+        enabled INTEGER DEFAULT 1,
+        interval_days INTEGER DEFAULT 4,
+        max_reminders INTEGER DEFAULT 10,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        stopped_at TEXT NULL,
+        stopped_reason TEXT NULL,
+        signing_order TEXT NULL,
+        last_checked_at TEXT NULL,
+        policy TEXT NULL, -- escalation policy; NULL means the configured default
+        escalation_step INTEGER DEFAULT 0 -- furthest step any recipient has reached
+      );
+
+      -- Reminder state per recipient
+      CREATE TABLE IF NOT EXISTS recipient_reminders (
+        document_id INTEGER NOT NULL,
+        recipient_id INTEGER NOT NULL,
+        reminder_count INTEGER DEFAULT 0,
+        max_reminders INTEGER NOT NULL,
+        last_sent_at TEXT NULL,
+        activated_at TEXT NOT NULL, -- when it became this recipient's turn to act
+        escalation_step INTEGER DEFAULT 0, -- escalation steps completed
+        PRIMARY KEY (document_id, recipient_id),
+        FOREIGN KEY (document_id) REFERENCES document_reminders (document_id)
+      );
+
+      -- Individual reminder history, one row per recipient per reminder
+      CREATE TABLE IF NOT EXISTS reminder_history (
+        id ${db.autoIncrementPrimaryKey},
+        document_id INTEGER,
+        recipient_id INTEGER,
+        sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        reminder_count INTEGER,
+        success INTEGER DEFAULT 1,
+        error_message TEXT NULL,
+        step_name TEXT NULL, -- escalation step that sent it, if any
+        FOREIGN KEY (document_id) REFERENCES document_reminders (document_id)
+      );
+
+      -- Escalation steps that have run (resends, owner emails, webhooks)
+      CREATE TABLE IF NOT EXISTS escalation_events (
+        id ${db.autoIncrementPrimaryKey},
+        document_id INTEGER,
+        recipient_ids TEXT, -- JSON array of recipients who reached the step
+        policy TEXT,
+        step_index INTEGER,
+        step_name TEXT,
+        action TEXT,
+        executed_at TEXT,
+        success INTEGER DEFAULT 1,
+        error_message TEXT NULL
+      );
+
+      -- Stopped reminders (per document or per recipient)
+      CREATE TABLE IF NOT EXISTS stopped_reminders (
+        id ${db.autoIncrementPrimaryKey},
+        document_id INTEGER,
+        recipient_id INTEGER NULL, -- NULL means all recipients
+        stopped_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        stopped_reason TEXT,
+        stopped_by TEXT -- 'admin', 'recipient', 'system'
+      );
+
+      -- Failed resends waiting to be retried, and the dead-letter list
+      CREATE TABLE IF NOT EXISTS reminder_retries (
+        document_id INTEGER NOT NULL,
+        recipient_id INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending', -- 'pending' or 'dead'
+        attempts INTEGER NOT NULL DEFAULT 0, -- failed attempts so far
+        next_attempt_at TEXT NULL,
+        last_error TEXT NULL,
+        last_status INTEGER NULL, -- HTTP status of the last failure, NULL without a response
+        policy TEXT NULL, -- escalation step the resend belongs to, if any
+        step_index INTEGER NULL,
+        step_name TEXT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (document_id, recipient_id)
+      );
+
+      -- Lease-based lock so only one instance runs at a time
+      CREATE TABLE IF NOT EXISTS run_locks (
+        name TEXT PRIMARY KEY,
+        owner TEXT NOT NULL,
+        acquired_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+
+      -- One row per reminder a run set out to send, keyed by idempotency key
+      CREATE TABLE IF NOT EXISTS send_claims (
+        idempotency_key TEXT PRIMARY KEY,
+        document_id INTEGER NOT NULL,
+        recipient_id INTEGER NOT NULL,
+        status TEXT NOT NULL, -- 'sending', 'sent' or 'unconfirmed'
+        owner TEXT NOT NULL,
+        reminder_count INTEGER NULL, -- reminder number, for resends
+        policy TEXT NULL,
+        step_index INTEGER NULL,
+        step_name TEXT NULL,
+        claimed_at TEXT NOT NULL,
+        completed_at TEXT NULL
+      );
+    `);
+
+    if (db.dialect === 'sqlite') {
+      await upgradeLegacySqlite(db);
+    }
+  }
+};
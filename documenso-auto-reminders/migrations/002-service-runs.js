@@ -0,0 +1,23 @@
+// One row per reminder run, so that runs missed while the service was down
+// can be detected on the next start
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE service_runs (
+        id ${db.autoIncrementPrimaryKey},
+        run_id TEXT NOT NULL, -- runId in the logs
+        trigger TEXT NOT NULL, -- 'schedule', 'catch-up', 'cli', 'admin', ...
+        owner TEXT NOT NULL, -- instance that ran it
+        started_at TEXT NOT NULL,
+        finished_at TEXT NULL,
+        status TEXT NOT NULL, -- 'running', 'succeeded' or 'failed'
+        processed INTEGER NULL,
+        sent INTEGER NULL,
+        errors INTEGER NULL,
+        error_message TEXT NULL
+      );
+
+      CREATE INDEX service_runs_started_at ON service_runs (started_at);
+    `);
+  }
+};
@@ -0,0 +1,6 @@
+// Settings last applied from a document's "[reminders ...]" tag in Documenso
+module.exports = {
+  async up(db) {
+    await db.exec(`ALTER TABLE document_reminders ADD COLUMN overrides TEXT NULL`);
+  }
+};
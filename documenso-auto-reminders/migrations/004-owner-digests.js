@@ -0,0 +1,18 @@
+// One row per digest email sent to a document owner, so that the next digest
+// covers what happened since, and two instances don't send the same one
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE owner_digests (
+        id ${db.autoIncrementPrimaryKey},
+        owner_email TEXT NOT NULL,
+        period_start TEXT NOT NULL,
+        sent_at TEXT NOT NULL,
+        documents INTEGER NOT NULL, -- pending documents listed
+        stopped INTEGER NOT NULL -- automatic stops listed
+      );
+
+      CREATE INDEX owner_digests_owner_email ON owner_digests (owner_email, sent_at);
+    `);
+  }
+};
@@ -0,0 +1,20 @@
+// Reminders held back until a given time ("on holiday until the 3rd"), for a
+// whole document or one recipient. Rows past snoozed_until no longer apply
+// and are cleared by the next reminder run.
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE reminder_snoozes (
+        id ${db.autoIncrementPrimaryKey},
+        document_id INTEGER NOT NULL,
+        recipient_id INTEGER NULL, -- NULL means all recipients
+        snoozed_until TEXT NOT NULL,
+        snoozed_at TEXT NOT NULL,
+        snoozed_by TEXT NOT NULL, -- 'admin' (stop-reminders.js or the admin API)
+        reason TEXT NULL
+      );
+
+      CREATE INDEX reminder_snoozes_document_id ON reminder_snoozes (document_id, snoozed_until);
+    `);
+  }
+};
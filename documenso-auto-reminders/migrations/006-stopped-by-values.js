@@ -0,0 +1,11 @@
+// Stops made by hand were recorded as 'owner', 'manual' or 'admin' depending
+// on where they came from; they are all 'admin' now, next to 'system' and
+// 'recipient'. Snoozes made from stop-reminders.js were 'manual'.
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      UPDATE stopped_reminders SET stopped_by = 'admin' WHERE stopped_by IS NULL OR stopped_by IN ('owner', 'manual');
+      UPDATE reminder_snoozes SET snoozed_by = 'admin' WHERE snoozed_by = 'manual';
+    `);
+  }
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { quoteIdentifier } = require('./storage');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// The database doesn't have the schema this version of the service expects
+class SchemaOutOfDateError extends Error {
+  constructor(message, { pending = [], unknown = [] } = {}) {
+    super(message);
+    this.pending = pending;
+    this.unknown = unknown;
+  }
+}
+
+// Migration files are named "<version>-<name>.js" and export up(db), which
+// gets a storage bound to the migration transaction
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  return fs.readdirSync(directory)
+    .map(file => file.match(/^(\d+)-(.+)\.js$/))
+    .filter(Boolean)
+    .map(match => ({ version: parseInt(match[1]), name: match[2], file: path.join(directory, match[0]) }))
+    .sort((a, b) => a.version - b.version);
+}
+
+// "001-initial-schema", for migrations and schema_migrations rows alike
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+}
+
+// Ordered up-migrations, recorded in schema_migrations as they are applied
+class Migrator {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.migrations = loadMigrations(options.directory);
+    this.log = logger.child({ component: 'migrations' });
+  }
+
+  // Rows of schema_migrations; none while the table doesn't exist yet
+  async appliedMigrations(db = this.storage) {
+    if ((await db.columnsOf('schema_migrations')).length === 0) return [];
+    const rows = await db.all(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+    return rows.map(row => ({ ...row, version: Number(row.version) }));
+  }
+
+  // Applied migrations, pending ones, and applied ones this version doesn't
+  // know about (the database was migrated by a newer version)
+  async status(db = this.storage) {
+    const applied = await this.appliedMigrations(db);
+    const appliedVersions = new Set(applied.map(migration => migration.version));
+    const knownVersions = new Set(this.migrations.map(migration => migration.version));
+
+    return {
+      applied,
+      pending: this.migrations.filter(migration => !appliedVersions.has(migration.version)),
+      unknown: applied.filter(migration => !knownVersions.has(migration.version))
+    };
+  }
+
+  checkStatus({ pending, unknown }) {
+    if (unknown.length > 0) {
+      throw new SchemaOutOfDateError(
+        `Database was migrated by a newer version (${unknown.map(migrationLabel).join(', ')}); upgrade the service`,
+        { pending, unknown }
+      );
+    }
+    if (pending.length > 0) {
+      throw new SchemaOutOfDateError(
+        `Database schema is out of date, ${pending.length} pending migration(s): ${pending.map(migrationLabel).join(', ')}. Run: npm run migrate`,
+        { pending, unknown }
+      );
+    }
+  }
+
+  // The service refuses to work with a schema that doesn't match its own
+  async assertUpToDate() {
+    this.checkStatus(await this.status());
+  }
+
+  // Apply every pending migration in one transaction: either they all are, or
+  // none is. Resolves to the migrations that were applied.
+  async migrate() {
+    if (this.storage.dialect === 'postgres' && this.storage.schema) {
+      await this.storage.exec(`CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(this.storage.schema)}`);
+    }
+    await this.storage.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    return this.storage.transaction(async (db) => {
+      if (db.dialect === 'postgres') {
+        // Another instance migrating at the same time waits here, then finds
+        // nothing left to do. SQLite's BEGIN IMMEDIATE does the same.
+        await db.exec('LOCK TABLE schema_migrations IN EXCLUSIVE MODE');
+      }
+
+      const { pending, unknown } = await this.status(db);
+      if (unknown.length > 0) this.checkStatus({ pending, unknown });
+
+      for (const migration of pending) {
+        this.log.info(`🗄️  Applying migration ${migrationLabel(migration)}`);
+        await require(migration.file).up(db);
+        await db.run(
+          `INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`,
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+      }
+
+      return pending;
+    });
+  }
+}
+
+module.exports = { Migrator, SchemaOutOfDateError, migrationLabel };
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+
+// Events the service tells notification channels about
+const NotificationEvent = {
+  MAX_REMINDERS_REACHED: 'max_reminders_reached', // a recipient had their last reminder and still hasn't signed
+  RECIPIENT_REJECTED: 'recipient_rejected', // a recipient rejected the document
+  RECIPIENT_OPTED_OUT: 'recipient_opted_out', // a recipient used the link in a reminder email to stop them
+  SEND_FAILED: 'send_failed', // resends to a recipient kept failing and were moved to the dead-letter list
+  DOCUMENT_COMPLETED: 'document_completed' // everyone signed, after at least one reminder
+};
+
+// Message of each event, unless a channel has its own template. {{name}} is
+// replaced with the field of that name (see templateFields).
+const DEFAULT_TEMPLATES = {
+  [NotificationEvent.MAX_REMINDERS_REACHED]: '{{recipient}} still hasn\'t signed "{{title}}" after {{reminders}} reminders; no more reminders will be sent',
+  [NotificationEvent.RECIPIENT_REJECTED]: '{{recipient}} rejected "{{title}}"',
+  [NotificationEvent.RECIPIENT_OPTED_OUT]: '{{recipient}} asked not to be reminded about "{{title}}" again, after {{reminders}} reminders',
+  [NotificationEvent.SEND_FAILED]: 'Reminders to {{recipient}} for "{{title}}" were given up on after {{attempts}} failed attempt(s): {{error}}',
+  [NotificationEvent.DOCUMENT_COMPLETED]: '"{{title}}" was signed by everyone after {{reminders}} reminders'
+};
+
+const FILTERS = ['userId', 'teamId', 'minReminders'];
+
+// Fields templates can use
+function templateFields(notification) {
+  const { document, recipient } = notification;
+  return {
+    event: notification.event,
+    documentId: document.id,
+    title: document.title,
+    url: document.url,
+    userId: document.userId,
+    teamId: document.teamId,
+    recipient: recipient ? (recipient.name ? `${recipient.name} <${recipient.email}>` : recipient.email) : '',
+    recipientName: recipient ? recipient.name || '' : '',
+    recipientEmail: recipient ? recipient.email : '',
+    reminders: notification.reminders,
+    attempts: notification.attempts,
+    error: notification.error
+  };
+}
+
+function render(template, notification) {
+  const fields = templateFields(notification);
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (fields[name] === undefined || fields[name] === null ? '' : String(fields[name])));
+}
+
+// A place notifications are posted to. Subclasses turn a notification into
+// the request body their service expects.
+class Channel {
+  constructor(name, options) {
+    this.name = name;
+    this.url = options.url;
+    this.events = options.events || Object.values(NotificationEvent);
+    this.filter = options.filter || {};
+    this.templates = { ...DEFAULT_TEMPLATES, ...options.templates };
+  }
+
+  // Whether the channel wants a notification: one of its events, and every
+  // filter it has holds. minReminders only applies to events that carry a
+  // reminder count, so rejections and failed sends always get through
+  accepts(notification) {
+    const { document } = notification;
+    if (!this.events.includes(notification.event)) return false;
+    if (this.filter.userId && !this.filter.userId.includes(document.userId)) return false;
+    if (this.filter.teamId && !this.filter.teamId.includes(document.teamId)) return false;
+    if (this.filter.minReminders !== undefined && notification.reminders !== undefined && notification.reminders < this.filter.minReminders) return false;
+    return true;
+  }
+
+  message(notification) {
+    return render(this.templates[notification.event], notification);
+  }
+
+  format(notification) {
+    throw new Error(`${this.constructor.name} does not implement format()`);
+  }
+
+  headers() {
+    return {};
+  }
+
+  async send(notification) {
+    const body = JSON.stringify(this.format(notification));
+    await axios.post(this.url, body, {
+      headers: { 'Content-Type': 'application/json', ...this.headers(body) },
+      timeout: 10000
+    });
+  }
+}
+
+// Generic JSON webhook, signed with X-Reminders-Signature: sha256=<hmac> when
+// the channel has a secret (like escalation webhooks)
+class WebhookChannel extends Channel {
+  constructor(name, options) {
+    super(name, options);
+    this.secret = options.secret || null;
+  }
+
+  format(notification) {
+    return {
+      event: 'REMINDER_NOTIFICATION',
+      type: notification.event,
+      message: this.message(notification),
+      document: notification.document,
+      recipient: notification.recipient,
+      reminders: notification.reminders,
+      attempts: notification.attempts,
+      error: notification.error,
+      createdAt: notification.createdAt
+    };
+  }
+
+  headers(body) {
+    return this.secret
+      ? { 'X-Reminders-Signature': `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}` }
+      : {};
+  }
+}
+
+// Slack incoming webhook; Mattermost and Rocket.Chat accept the same body
+class SlackChannel extends Channel {
+  format(notification) {
+    return { text: `${this.message(notification)} (<${notification.document.url}|open in Documenso>)` };
+  }
+}
+
+// Microsoft Teams incoming webhook (Workflows), as an Adaptive Card
+class TeamsChannel extends Channel {
+  format(notification) {
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', text: notification.document.title, weight: 'Bolder', size: 'Medium', wrap: true },
+            { type: 'TextBlock', text: this.message(notification), wrap: true }
+          ],
+          actions: [{ type: 'Action.OpenUrl', title: 'Open in Documenso', url: notification.document.url }]
+        }
+      }]
+    };
+  }
+}
+
+const CHANNEL_TYPES = {
+  webhook: WebhookChannel,
+  slack: SlackChannel,
+  teams: TeamsChannel
+};
+
+// Sends each notification to every channel that accepts it
+class Notifier {
+  constructor(channels = []) {
+    this.channels = channels;
+    this.log = logger.child({ component: 'notifier' });
+  }
+
+  hasChannels() {
+    return this.channels.length > 0;
+  }
+
+  // Post a notification to the channels that want it. Failures are logged and
+  // never thrown: a chat outage must not hold up reminders. Resolves to the
+  // number of channels it was posted to.
+  async notify(notification) {
+    const channels = this.channels.filter(channel => channel.accepts(notification));
+    let posted = 0;
+
+    await Promise.all(channels.map(async (channel) => {
+      try {
+        await channel.send(notification);
+        posted++;
+        metrics.notifications.inc({ channel: channel.name, event: notification.event, outcome: 'sent' });
+      } catch (error) {
+        metrics.notifications.inc({ channel: channel.name, event: notification.event, outcome: 'failed' });
+        this.log.warn(`⚠️  Could not post ${notification.event} for document ${notification.document.id} to channel "${channel.name}"`, {
+          documentId: notification.document.id,
+          error
+        });
+      }
+    }));
+
+    return posted;
+  }
+}
+
+// Load notification channels from a JSON file:
+//
+// {
+//   "channels": {
+//     "sales-chat": {
+//       "type": "slack",
+//       "url": "https://hooks.slack.com/services/...",
+//       "events": ["max_reminders_reached", "recipient_rejected"],
+//       "filter": { "teamId": [7] },
+//       "templates": { "recipient_rejected": ":x: {{recipient}} rejected <{{url}}|{{title}}>" }
+//     },
+//     "ops": { "type": "teams", "url": "https://...", "events": ["send_failed"] },
+//     "crm": { "type": "webhook", "url": "https://...", "secret": "..." }
+//   }
+// }
+//
+// Channels get every event unless they list some. Without a file nothing is
+// posted.
+function loadNotifier(filePath) {
+  if (!filePath) return new Notifier();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read notification channels from ${filePath}: ${error.message}`);
+  }
+
+  const channels = Object.entries(parsed.channels || {}).map(([name, options]) => createChannel(name, options));
+  return new Notifier(channels);
+}
+
+function createChannel(name, options) {
+  const label = `Notification channel "${name}"`;
+  const ChannelType = CHANNEL_TYPES[options.type];
+  const events = Object.values(NotificationEvent);
+
+  if (!ChannelType) {
+    throw new Error(`${label} has unknown type "${options.type}" (use ${Object.keys(CHANNEL_TYPES).join(', ')})`);
+  }
+  if (!options.url) {
+    throw new Error(`${label} needs a url`);
+  }
+
+  for (const event of [...(options.events || []), ...Object.keys(options.templates || {})]) {
+    if (!events.includes(event)) {
+      throw new Error(`${label} names unknown event "${event}" (use ${events.join(', ')})`);
+    }
+  }
+
+  const filter = { ...options.filter };
+  for (const key of Object.keys(filter)) {
+    if (!FILTERS.includes(key)) {
+      throw new Error(`${label} has unknown filter "${key}" (use ${FILTERS.join(', ')})`);
+    }
+  }
+  // One ID or a list of them
+  for (const key of ['userId', 'teamId']) {
+    if (filter[key] !== undefined) filter[key] = Array.isArray(filter[key]) ? filter[key] : [filter[key]];
+  }
+
+  return new ChannelType(name, { ...options, filter });
+}
+
+module.exports = { NotificationEvent, Notifier, loadNotifier };
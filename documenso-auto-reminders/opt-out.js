@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const { logger } = require('./logger');
+
+// Stop reason of recipients who used the link in a reminder email
+const OPT_OUT_REASON = 'opted_out';
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Token of an opt-out link: "<documentId>.<recipientId>.<expires>.<signature>",
+// expires in Unix seconds and the signature an HMAC of the rest
+function createOptOutToken(documentId, recipientId, expiresAt, secret) {
+  const payload = `${documentId}.${recipientId}.${Math.floor(expiresAt.toSeconds())}`;
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// { documentId, recipientId } of a valid token, or { error } saying why it
+// isn't: 'invalid' (malformed or tampered with) or 'expired'
+function verifyOptOutToken(token, secret, now = DateTime.now()) {
+  const match = /^(\d+)\.(\d+)\.(\d+)\.([\w-]+)$/.exec(token || '');
+  if (!match) return { error: 'invalid' };
+
+  const [, documentId, recipientId, expires, signature] = match;
+  const expected = Buffer.from(sign(`${documentId}.${recipientId}.${expires}`, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { error: 'invalid' };
+  }
+
+  if (DateTime.fromSeconds(Number(expires)) < now) return { error: 'expired' };
+  return { documentId: Number(documentId), recipientId: Number(recipientId) };
+}
+
+// Link a recipient follows to stop their reminders for a document
+function createOptOutUrl(documentId, recipientId, { publicUrl, path, linkDays, secret }, now = DateTime.now()) {
+  const token = createOptOutToken(documentId, recipientId, now.plus({ days: linkDays }), secret);
+  return `${publicUrl}${path}/${token}`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function page(status, title, paragraphs, form = '') {
+  const body = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem; color: #222; line-height: 1.5; }
+  button { font: inherit; padding: .6rem 1.2rem; border: 0; border-radius: .3rem; background: #222; color: #fff; cursor: pointer; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n')}
+${form}
+</body>
+</html>
+`;
+  return { status, body, headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' } };
+}
+
+// Pages behind the opt-out links in reminder emails. Opening a link only asks
+// for confirmation: mail scanners open links too, and must not opt anyone
+// out. The stop is recorded on POST, from the page's button or from a
+// one-click List-Unsubscribe (RFC 8058) in the recipient's mail client.
+class OptOutPage {
+  constructor(service, options = {}) {
+    this.service = service;
+    this.secret = options.secret;
+    this.log = logger.child({ component: 'opt-out' });
+  }
+
+  // Mount the pages on an HttpServer
+  register(server, path) {
+    server.route('GET', `${path}/:token`, (ctx) => this.confirm(ctx));
+    server.route('POST', `${path}/:token`, (ctx) => this.optOut(ctx));
+  }
+
+  invalidLink(error) {
+    return error === 'expired'
+      ? page(410, 'This link has expired', ['Links to stop reminders only work for a while. The next reminder you get will have a new one.'])
+      : page(400, 'This link is not valid', ['Please use the link from your latest reminder email, without changing it.']);
+  }
+
+  async confirm(ctx) {
+    const link = verifyOptOutToken(ctx.params.token, this.secret);
+    if (link.error) return this.invalidLink(link.error);
+
+    const title = await this.service.getDocumentTitle(link.documentId);
+    return page(200, 'Stop reminders?', [
+      title ? `You will get no more reminder emails about "${title}".` : 'You will get no more reminder emails about this document.',
+      'You can still open and sign it from an earlier email at any time.'
+    ], '<form method="post"><button type="submit">Stop reminders</button></form>');
+  }
+
+  async optOut(ctx) {
+    const link = verifyOptOutToken(ctx.params.token, this.secret);
+    if (link.error) return this.invalidLink(link.error);
+
+    try {
+      await this.service.optOutRecipient(link.documentId, link.recipientId);
+    } catch (error) {
+      this.log.error(`❌ Could not record opt-out of recipient ${link.recipientId} for document ${link.documentId}`, {
+        documentId: link.documentId,
+        error
+      });
+      return page(500, 'Something went wrong', ['Your choice could not be saved. Please try again in a few minutes.']);
+    }
+
+    return page(200, 'Reminders stopped', ['You will get no more reminder emails about this document. The sender can see that you asked to stop.']);
+  }
+}
+
+module.exports = { OPT_OUT_REASON, createOptOutUrl, verifyOptOutToken, OptOutPage };
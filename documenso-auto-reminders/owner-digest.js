@@ -0,0 +1,142 @@
+const cronParser = require('cron-parser');
+const { DateTime } = require('luxon');
+const { parseTimestamp } = require('./business-calendar');
+const { withoutTag } = require('./document-overrides');
+
+// Stop reasons of automatic stops, as owners read them
+const STOP_REASONS = {
+  document_completed: 'fully signed',
+  document_rejected: 'rejected by a recipient',
+  document_cancelled: 'cancelled',
+  document_not_found: 'no longer found in Documenso',
+  max_reminders_reached: 'reached the maximum number of reminders',
+  disabled_in_documenso: 'reminders turned off in Documenso',
+  opted_out: 'opted out with the link in a reminder'
+};
+
+// The digest schedule's latest tick at or before now, and the tick before it.
+// A scheduled digest covers the time between them.
+function digestWindow(cronSchedule, timezone, now = DateTime.now()) {
+  const ticks = cronParser.parseExpression(cronSchedule, {
+    currentDate: now.plus({ seconds: 1 }).toJSDate(),
+    tz: timezone
+  });
+  const currentTick = DateTime.fromJSDate(ticks.prev().toDate());
+  const previousTick = DateTime.fromJSDate(ticks.prev().toDate());
+  return { currentTick, previousTick };
+}
+
+// A pending document as listed in a digest: who hasn't signed yet and how
+// many reminders each of them has had. recipients are the document's pending
+// recipients with their reminder row (null before their first reminder is
+// due), whether they were stopped and whether they opted out themselves.
+function summarizeDocument(document, docReminder, recipients, nearMaxRemaining) {
+  return {
+    documentId: document.id,
+    title: withoutTag(document.title) || 'Untitled Document',
+    createdAt: parseTimestamp(document.createdAt),
+    recipients: recipients.map(({ recipient, reminder, stopped, optedOut = false }) => {
+      const sent = reminder ? reminder.reminder_count : 0;
+      const max = reminder ? reminder.max_reminders : docReminder.max_reminders;
+      const left = Math.max(0, max - sent);
+
+      return {
+        name: recipient.name,
+        email: recipient.email,
+        sent,
+        max,
+        left,
+        lastSentAt: reminder ? parseTimestamp(reminder.last_sent_at) : null,
+        tracked: Boolean(reminder),
+        stopped,
+        optedOut,
+        nearMax: !stopped && left > 0 && left <= nearMaxRemaining
+      };
+    })
+  };
+}
+
+function formatTime(dateTime, timezone) {
+  return dateTime.setZone(timezone).toFormat('ccc dd LLL HH:mm');
+}
+
+function formatRecipient(recipient) {
+  return recipient.name ? `${recipient.name} <${recipient.email}>` : recipient.email;
+}
+
+// Subject and text of an owner's digest:
+// { documents: [summarizeDocument()], stops: [{ documentId, title, recipient, reason, optedOut, stoppedAt }], periodStart }
+function formatDigest(digest, { baseUrl, timezone }) {
+  const { documents, periodStart } = digest;
+  // Recipients who opted out get their own section, so they don't go unnoticed
+  const optOuts = digest.stops.filter(stop => stop.optedOut);
+  const stops = digest.stops.filter(stop => !stop.optedOut);
+  const nearMax = documents.flatMap(document => document.recipients
+    .filter(recipient => recipient.nearMax)
+    .map(recipient => ({ document, recipient })));
+
+  const lines = [
+    'Hello,',
+    '',
+    `Here is what the reminder service did for your documents since ${formatTime(periodStart, timezone)}.`
+  ];
+
+  lines.push('', `Waiting for signatures (${documents.length})`);
+  if (documents.length === 0) {
+    lines.push('  None of your documents are waiting for signatures.');
+  }
+  for (const document of documents) {
+    lines.push('', `"${document.title}" (document ${document.documentId})${document.createdAt ? `, created ${document.createdAt.setZone(timezone).toFormat('ccc dd LLL')}` : ''}`);
+    for (const recipient of document.recipients) {
+      let status;
+      if (recipient.optedOut) {
+        status = `opted out of reminders after ${recipient.sent} of ${recipient.max}`;
+      } else if (recipient.stopped) {
+        status = `reminders stopped after ${recipient.sent} of ${recipient.max}`;
+      } else if (!recipient.tracked) {
+        status = 'not reminded yet';
+      } else {
+        status = `${recipient.sent} of ${recipient.max} reminders`;
+        if (recipient.lastSentAt) status += `, last ${formatTime(recipient.lastSentAt, timezone)}`;
+        if (recipient.nearMax) status += ` - ${recipient.left} left`;
+      }
+      lines.push(`  • ${formatRecipient(recipient)}: ${status}`);
+    }
+  }
+
+  if (nearMax.length > 0) {
+    lines.push('', `Close to the maximum (${nearMax.length})`);
+    for (const { document, recipient } of nearMax) {
+      lines.push(`  • ${formatRecipient(recipient)} on "${document.title}": ${recipient.left} reminder${recipient.left === 1 ? '' : 's'} left`);
+    }
+  }
+
+  if (optOuts.length > 0) {
+    lines.push('', `Opted out of reminders (${optOuts.length})`);
+    for (const stop of optOuts) {
+      lines.push(`  • ${formatRecipient(stop.recipient)} on "${stop.title}" (document ${stop.documentId}), ${formatTime(stop.stoppedAt, timezone)}`);
+    }
+    lines.push('  They get no more reminders for that document unless you resume them.');
+  }
+
+  if (stops.length > 0) {
+    lines.push('', `Stopped automatically (${stops.length})`);
+    for (const stop of stops) {
+      const who = stop.recipient ? `, ${formatRecipient(stop.recipient)}` : '';
+      lines.push(`  • "${stop.title}" (document ${stop.documentId})${who}: ${STOP_REASONS[stop.reason] || stop.reason}, ${formatTime(stop.stoppedAt, timezone)}`);
+    }
+  }
+
+  lines.push('', `Your documents: ${baseUrl}/documents`);
+
+  const subject = [
+    `Reminder digest: ${documents.length} document${documents.length === 1 ? '' : 's'} waiting for signatures`,
+    nearMax.length > 0 && `${nearMax.length} close to the maximum`,
+    optOuts.length > 0 && `${optOuts.length} opted out`,
+    stops.length > 0 && `${stops.length} stopped`
+  ].filter(Boolean).join(', ');
+
+  return { subject, text: lines.join('\n') };
+}
+
+module.exports = { STOP_REASONS, digestWindow, summarizeDocument, formatDigest };
@@ -0,0 +1,116 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Token bucket plus a concurrency cap. Every request takes a token (the
+// bucket refills at requestsPerSecond, up to burst) and a slot (at most
+// concurrency in flight); callers wait in line for both.
+class RateLimiter {
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond;
+    this.burst = Math.max(1, options.burst || 1);
+    this.concurrency = Math.max(1, options.concurrency || 1);
+
+    this.tokens = this.burst;
+    this.refilledAt = Date.now();
+    this.pausedUntil = 0;
+    this.active = 0;
+    this.queue = [];
+    this.draining = false;
+  }
+
+  // Wait for a token and a slot. Call release() once the request is done.
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  release() {
+    this.active = Math.max(0, this.active - 1);
+    this.drain();
+  }
+
+  // Run fn once it may go, and free its slot when it settles
+  async schedule(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  // Hold every request back, e.g. when the server answers 429 with Retry-After
+  pause(seconds) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + seconds * 1000);
+  }
+
+  refill() {
+    const now = Date.now();
+    if (this.requestsPerSecond > 0) {
+      this.tokens = Math.min(this.burst, this.tokens + ((now - this.refilledAt) / 1000) * this.requestsPerSecond);
+    } else {
+      // No rate limit, only the concurrency cap
+      this.tokens = this.burst;
+    }
+    this.refilledAt = now;
+  }
+
+  // Hand out tokens and slots in arrival order; one loop at a time
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      while (this.queue.length > 0 && this.active < this.concurrency) {
+        const pausedFor = this.pausedUntil - Date.now();
+        if (pausedFor > 0) {
+          await sleep(pausedFor);
+          continue;
+        }
+
+        this.refill();
+        if (this.tokens < 1) {
+          await sleep(Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000));
+          continue;
+        }
+
+        this.tokens -= 1;
+        this.active++;
+        this.queue.shift()();
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  describe() {
+    return {
+      requestsPerSecond: this.requestsPerSecond > 0 ? this.requestsPerSecond : null,
+      burst: this.burst,
+      concurrency: this.concurrency,
+      active: this.active,
+      waiting: this.queue.length
+    };
+  }
+}
+
+// Call fn for every item with at most limit calls in flight. Results come
+// back in item order, like Promise.all.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { RateLimiter, mapWithConcurrency };
@@ -0,0 +1,151 @@
+const config = require('./config');
+
+// Values used by the Documenso v1 API (ZSuccessfulRecipientResponseSchema)
+const RecipientRole = {
+  SIGNER: 'SIGNER',
+  APPROVER: 'APPROVER',
+  VIEWER: 'VIEWER',
+  CC: 'CC',
+  ASSISTANT: 'ASSISTANT'
+};
+
+const SigningStatus = {
+  NOT_SIGNED: 'NOT_SIGNED',
+  SIGNED: 'SIGNED',
+  REJECTED: 'REJECTED'
+};
+
+const SigningOrder = {
+  PARALLEL: 'PARALLEL',
+  SEQUENTIAL: 'SEQUENTIAL'
+};
+
+// What a recipient means for reminders
+const RecipientState = {
+  AWAITING: 'awaiting', // still needs to act and can be reminded
+  COMPLETED: 'completed', // signed, approved or viewed
+  REJECTED: 'rejected',
+  NOT_REQUIRED: 'not_required' // CC (and viewers, unless REMIND_VIEWERS is on)
+};
+
+// Work out a recipient's state from signingStatus and role.
+// readStatus and sendStatus don't change whether someone still has to act.
+function getRecipientState(recipient, options = {}) {
+  const { remindViewers = config.reminders.remindViewers } = options;
+
+  if (recipient.signingStatus === SigningStatus.REJECTED) {
+    return RecipientState.REJECTED;
+  }
+
+  if (recipient.signingStatus === SigningStatus.SIGNED) {
+    return RecipientState.COMPLETED;
+  }
+
+  if (recipient.role === RecipientRole.CC) {
+    return RecipientState.NOT_REQUIRED;
+  }
+
+  if (recipient.role === RecipientRole.VIEWER && !remindViewers) {
+    return RecipientState.NOT_REQUIRED;
+  }
+
+  return RecipientState.AWAITING;
+}
+
+// Recipients of a document who should be reminded
+function getPendingRecipients(document, options = {}) {
+  return (document.recipients || []).filter(
+    recipient => getRecipientState(recipient, options) === RecipientState.AWAITING
+  );
+}
+
+// Signing order of a document. The v1 document response has no documentMeta,
+// so use what a webhook told us, else infer it: in sequential documents
+// Documenso only sends to the next signer, so recipients who still have to act
+// but were never sent the document mean a sequential order.
+function getSigningOrder(document, knownSigningOrder = null) {
+  const fromMeta = document.documentMeta && document.documentMeta.signingOrder;
+  if (fromMeta) return fromMeta;
+  if (knownSigningOrder) return knownSigningOrder;
+
+  const waiting = (document.recipients || []).filter(
+    recipient => recipient.role !== RecipientRole.CC && recipient.signingStatus === SigningStatus.NOT_SIGNED
+  );
+  const sent = waiting.filter(recipient => recipient.sendStatus === 'SENT');
+
+  return sent.length > 0 && sent.length < waiting.length ? SigningOrder.SEQUENTIAL : SigningOrder.PARALLEL;
+}
+
+// The recipient whose turn it is in a sequential document, picked the same way
+// Documenso does: lowest signingOrder (unset last), then lowest id
+function getCurrentRecipient(document) {
+  const waiting = (document.recipients || []).filter(
+    recipient => recipient.role !== RecipientRole.CC && recipient.signingStatus === SigningStatus.NOT_SIGNED
+  );
+
+  waiting.sort((a, b) => {
+    const orderA = a.signingOrder ?? Infinity;
+    const orderB = b.signingOrder ?? Infinity;
+    return orderA === orderB ? a.id - b.id : orderA - orderB;
+  });
+
+  return waiting[0] || null;
+}
+
+// Recipients who should be reminded right now given the signing order
+function getRecipientsToRemind(document, signingOrder, options = {}) {
+  const pending = getPendingRecipients(document, options);
+
+  if (signingOrder !== SigningOrder.SEQUENTIAL) {
+    return pending;
+  }
+
+  const current = getCurrentRecipient(document);
+  return pending.filter(recipient => current && recipient.id === current.id);
+}
+
+// Group a document's recipients by state
+function summarizeRecipients(document, options = {}) {
+  const summary = {
+    [RecipientState.AWAITING]: [],
+    [RecipientState.COMPLETED]: [],
+    [RecipientState.REJECTED]: [],
+    [RecipientState.NOT_REQUIRED]: []
+  };
+
+  for (const recipient of document.recipients || []) {
+    summary[getRecipientState(recipient, options)].push(recipient);
+  }
+
+  return summary;
+}
+
+// Overall state of a document for reminders: 'pending', 'completed' or 'rejected'.
+// A viewer who hasn't viewed yet still keeps the document pending, even when
+// viewers aren't reminded.
+function getDocumentProgress(document) {
+  if (document.status === 'REJECTED') return 'rejected';
+  if (document.status === 'COMPLETED') return 'completed';
+  if (!Array.isArray(document.recipients)) return 'pending';
+
+  const summary = summarizeRecipients(document, { remindViewers: true });
+
+  if (summary[RecipientState.REJECTED].length > 0) return 'rejected';
+  if (summary[RecipientState.AWAITING].length === 0) return 'completed';
+
+  return 'pending';
+}
+
+module.exports = {
+  RecipientRole,
+  SigningStatus,
+  SigningOrder,
+  RecipientState,
+  getRecipientState,
+  getPendingRecipients,
+  getSigningOrder,
+  getCurrentRecipient,
+  getRecipientsToRemind,
+  summarizeRecipients,
+  getDocumentProgress
+};
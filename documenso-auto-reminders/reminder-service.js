@@ -1,78 +1,418 @@
+const crypto = require('crypto');
+const axios = require('axios');
 const { DateTime } = require('luxon');
 const DocumensoAPI = require('./documenso-api');
 const ReminderDatabase = require('./database');
+const Mailer = require('./mailer');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
 const config = require('./config');
+const { EscalationAction, loadPolicies } = require('./escalation-policies');
+const { createBusinessCalendar, parseTimestamp } = require('./business-calendar');
+const { RetryStatus, isRetryable, isRetryableSmtp, getRetryDelay } = require('./retry-policy');
+const { mapWithConcurrency } = require('./rate-limiter');
+const { RunLock, SendStatus, idempotencyKey, createInstanceId } = require('./run-lock');
+const { FINISHED_REASONS, inPages, writeArchive } = require('./retention');
+const { CatchUpPolicy, findMissedRuns, spreadOver } = require('./catch-up');
+const { DISABLED_REASON, withoutTag, getDocumentOverrides } = require('./document-overrides');
+const { loadEnrollmentRules, needsRecipients, evaluateEnrollment } = require('./enrollment-rules');
+const { digestWindow, summarizeDocument, formatDigest } = require('./owner-digest');
+const { NotificationEvent, loadNotifier } = require('./notifiers');
+const { DeliveryMode, loadReminderTemplates } = require('./reminder-templates');
+const { OPT_OUT_REASON, createOptOutUrl } = require('./opt-out');
+const { findSnooze, formatSnoozeEnd } = require('./snoozes');
+const {
+  SigningOrder,
+  SigningStatus,
+  getDocumentProgress,
+  getPendingRecipients,
+  getSigningOrder,
+  getRecipientsToRemind
+} = require('./recipient-state');
+
+// A resend failed and was handed to the retry queue (or the dead-letter
+// list). It has been logged and is no error of the run.
+class RetryQueuedError extends Error {}
+
+// When a recipient's next reminder is due, in the business calendar
+function getNextReminderAt(reminder, intervalDays, calendar) {
+  const from = parseTimestamp(reminder.last_sent_at) || parseTimestamp(reminder.activated_at);
+  return calendar.dueAt(from, intervalDays);
+}
+
+// When a recipient reaches an escalation step
+function getStepDueAt(reminder, step, calendar) {
+  return calendar.dueAt(parseTimestamp(reminder.activated_at), step.afterDays);
+}
+
+// Whether a tracked document has to be fetched from Documenso: one of its
+// recipients is due (by interval, or by escalation step when the document has
+// a policy), or it hasn't been looked at for a whole interval (to pick up new
+// recipients, or the next signer's turn when webhooks are off)
+function needsCheck(docReminder, now, calendar, policy = null) {
+  const lastChecked = parseTimestamp(docReminder.last_checked_at);
+  if (!lastChecked || lastChecked.plus({ days: docReminder.interval_days }) <= now) {
+    return true;
+  }
+
+  if (policy) {
+    return docReminder.recipients.some(reminder => {
+      const step = policy.steps[reminder.escalation_step || 0];
+      return step && getStepDueAt(reminder, step, calendar) <= now;
+    });
+  }
+
+  return docReminder.recipients.some(reminder =>
+    reminder.reminder_count < reminder.max_reminders &&
+    getNextReminderAt(reminder, docReminder.interval_days, calendar) <= now
+  );
+}
+
+// Catch-up runs that are spread out are at least this far apart
+const CATCH_UP_MIN_GAP_MS = 60 * 1000;
+
+// How often shutdown checks whether work in progress has finished
+const SHUTDOWN_POLL_MS = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "Fri 16 Oct 09:00" in the reminder timezone
+function formatTime(isoTimestamp, timezone) {
+  return DateTime.fromISO(isoTimestamp).setZone(timezone).toFormat('ccc dd LLL HH:mm');
+}
+
+// A run fails when it throws, or when every document it looked at failed
+function isFailedRun(run) {
+  const { result } = run;
+  return Boolean(run.error) || Boolean(result && result.errors > 0 && result.processed === 0);
+}
+
+// When a recipient seen for the first time could start acting
+function getActivationTime(document, signingOrder, docReminder) {
+  if (signingOrder === SigningOrder.SEQUENTIAL) {
+    // Their turn began when the previous signer signed
+    const lastSignedAt = (document.recipients || [])
+      .map(recipient => parseTimestamp(recipient.signedAt))
+      .filter(Boolean)
+      .sort((a, b) => b - a)[0];
+
+    if (lastSignedAt) return lastSignedAt;
+  } else if (docReminder.last_checked_at) {
+    // Added to a document we had already seen
+    return DateTime.now();
+  }
+
+  return parseTimestamp(document.createdAt) || DateTime.now();
+}
+
+// How a decision came about, for logs: 'rule "sales", policy urgent'
+function describeDecision(decision) {
+  if (!decision.rule) {
+    return `no enrollment rule matched, default ${decision.include ? 'include' : 'exclude'}`;
+  }
+  return `rule "${decision.rule.name}"${decision.policy ? `, policy ${decision.policy}` : ''}`;
+}
+
+// A recipient of a document as Documenso lists them, or just the ID when the
+// document doesn't list them
+function findRecipient(document, recipientId) {
+  return (document.recipients || []).find(recipient => recipient.id === recipientId) || { id: recipientId, email: `recipient ${recipientId}` };
+}
 
 class ReminderService {
   constructor() {
     this.api = new DocumensoAPI();
     this.db = new ReminderDatabase();
+    this.mailer = new Mailer();
+    // Digests can go out through their own SMTP server and sender
+    this.digestMailer = config.digest.smtpUrl || config.digest.from
+      ? new Mailer({ ...config.smtp, url: config.digest.smtpUrl, from: config.digest.from || config.smtp.from })
+      : this.mailer;
+    // So can reminders, when we send them ourselves
+    this.reminderMailer = config.delivery.smtpUrl || config.delivery.from
+      ? new Mailer({ ...config.smtp, url: config.delivery.smtpUrl, from: config.delivery.from || config.smtp.from })
+      : this.mailer;
+    this.reminderTemplates = config.delivery.mode === DeliveryMode.SMTP
+      ? loadReminderTemplates(config.delivery.templatesDir, config.delivery.defaultLanguage)
+      : null;
+    this.policies = loadPolicies(config.escalation.policiesFile);
+    this.enrollmentRules = loadEnrollmentRules(config.enrollment.rulesFile, this.policies);
+    this.notifier = loadNotifier(config.notifications.channelsFile);
+    this.calendar = createBusinessCalendar(config.reminders);
+    this.log = logger.child({ component: 'service' });
+    this.instanceId = createInstanceId();
+    this.runLock = new RunLock(this.db, { owner: this.instanceId, ttlSeconds: config.runLock.ttlSeconds });
     this.dryRun = false;
+    this.currentRun = null;
+    this.lastRun = null;
+    this.retrying = null; // retry pass started by runRetries(), while in progress
+    this.deferred = new Map(); // documentId -> catch-up slot, while catch-up is spread out
+    this.catchUpTimer = null;
+    this.cleaning = false; // retention cleanup in progress
+    this.digesting = false; // owner digests being sent
+    this.stopping = false; // shutting down: no new work is started
+    this.lastApiHealth = null;
+    this.runHealth = {
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      failingSince: null, // first failure since the last successful run
+      consecutiveFailures: 0
+    };
+
+    if (config.escalation.defaultPolicy && !this.policies.has(config.escalation.defaultPolicy)) {
+      throw new Error(`Default escalation policy "${config.escalation.defaultPolicy}" is not defined in ${config.escalation.policiesFile || 'ESCALATION_POLICIES_FILE'}`);
+    }
   }
 
   // Enable dry run mode (don't actually send emails)
   setDryRun(enabled = true) {
     this.dryRun = enabled;
     if (enabled) {
-      console.log('🔍 Dry run mode enabled - no emails will be sent');
+      this.log.info('🔍 Dry run mode enabled - no emails will be sent');
+    }
+  }
+
+  // One reminder run: enroll new documents (unless webhooks do that), retry
+  // failed resends that are due, then process reminders. Runs never overlap,
+  // in this process or across instances sharing the database: while one is in
+  // progress, another call returns null without doing anything.
+  async runCycle({ enroll = true, trigger = 'schedule' } = {}) {
+    if (this.currentRun || this.stopping) return null;
+
+    const run = {
+      id: crypto.randomUUID().slice(0, 8),
+      trigger,
+      startedAt: DateTime.utc().toISO(),
+      finishedAt: null,
+      enrolled: 0,
+      retries: null,
+      result: null,
+      error: null
+    };
+    this.currentRun = run;
+    // Every line logged during the run carries its id
+    const log = this.log.child({ runId: run.id });
+
+    // A retry pass started on its own schedule finishes first
+    if (this.retrying) await this.retrying.catch(() => {});
+
+    if (!await this.acquireRunLock(log)) {
+      this.currentRun = null;
+      return null;
+    }
+
+    // Dry runs send nothing, so they don't count as runs
+    const recorded = !this.dryRun && await this.recordRunStart(run, log);
+
+    try {
+      if (enroll) {
+        run.enrolled = await this.autoEnrollPendingDocuments(log);
+      }
+      run.retries = await this.processRetries(log);
+      run.result = await this.processReminders(log);
+      return run;
+    } catch (error) {
+      run.error = error.message;
+      throw error;
+    } finally {
+      run.finishedAt = DateTime.utc().toISO();
+      if (recorded) await this.recordRunFinish(run, log);
+      await this.releaseRunLock(log);
+      this.currentRun = null;
+      this.lastRun = run;
+      this.recordRunOutcome(run);
     }
   }
 
+  // Retry due resends between reminder runs. Returns null without doing
+  // anything while a run or another retry pass is in progress.
+  async runRetries() {
+    if (this.currentRun || this.retrying || this.stopping) return null;
+
+    const log = this.log.child({ runId: 'retries' });
+    this.retrying = (async () => {
+      if (!await this.acquireRunLock(log)) return null;
+      try {
+        return await this.processRetries(log);
+      } finally {
+        await this.releaseRunLock(log);
+      }
+    })();
+
+    try {
+      return await this.retrying;
+    } finally {
+      this.retrying = null;
+    }
+  }
+
+  // Take the database lock for a run; false when another instance is running
+  async acquireRunLock(log) {
+    const acquired = await this.runLock.acquire();
+    if (!acquired) {
+      const lock = await this.db.getLock(this.runLock.name);
+      log.info(`🔒 Another instance is running (${lock ? lock.owner : 'unknown'}), skipping this run`, {
+        lockedUntil: lock ? lock.expires_at : null
+      });
+    }
+    return acquired;
+  }
+
+  async releaseRunLock(log) {
+    try {
+      await this.runLock.release();
+    } catch (error) {
+      // The lease runs out on its own
+      log.warn('⚠️  Could not release the run lock', { error });
+    }
+  }
+
+  // Runs go into service_runs so the next start can tell what was missed.
+  // Failing to record one doesn't stop the run.
+  async recordRunStart(run, log) {
+    try {
+      await this.db.recordRunStart(run, this.instanceId);
+      return true;
+    } catch (error) {
+      log.warn('⚠️  Could not record the run', { error });
+      return false;
+    }
+  }
+
+  async recordRunFinish(run, log) {
+    try {
+      await this.db.recordRunFinish(run, this.instanceId, isFailedRun(run) ? 'failed' : 'succeeded');
+    } catch (error) {
+      log.warn('⚠️  Could not record the end of the run', { error });
+    }
+  }
+
+  recordRunOutcome(run) {
+    const failed = isFailedRun(run);
+    const seconds = DateTime.fromISO(run.finishedAt).diff(DateTime.fromISO(run.startedAt), 'seconds').seconds;
+    metrics.runDuration.observe({ outcome: failed ? 'failure' : 'success' }, seconds);
+
+    if (failed) {
+      this.runHealth.lastFailureAt = run.finishedAt;
+      this.runHealth.failingSince = this.runHealth.failingSince || run.startedAt;
+      this.runHealth.consecutiveFailures++;
+    } else {
+      this.runHealth.lastSuccessAt = run.finishedAt;
+      this.runHealth.failingSince = null;
+      this.runHealth.consecutiveFailures = 0;
+    }
+  }
+
+  // Check the Documenso API and remember the outcome for /health
+  async checkApiHealth() {
+    const health = await this.api.healthCheck();
+    this.lastApiHealth = { ...health, checkedAt: DateTime.utc().toISO() };
+    return health;
+  }
+
   // Process all pending reminders
-  async processReminders() {
+  async processReminders(log = this.log) {
     try {
-      console.log('🔄 Starting reminder processing...');
+      log.info('🔄 Starting reminder processing...');
       
       // Health check first
-      const health = await this.api.healthCheck();
+      const health = await this.checkApiHealth();
       if (!health.healthy) {
         throw new Error(`API health check failed: ${health.error}. ${health.suggestion}`);
       }
 
+      // Nothing goes out on weekends, holidays or in quiet hours; whatever is
+      // due then is sent on the first run in the next allowed slot
+      const now = DateTime.now();
+      if (!this.calendar.isAllowed(now)) {
+        const nextSlot = this.calendar.nextAllowedSlot(now);
+        log.info(`🌙 Outside sending hours, reminders wait until ${nextSlot.toFormat('ccc dd LLL yyyy HH:mm')} (${this.calendar.timezone})`);
+        return { processed: 0, sent: 0, deferred: 0, errors: 0 };
+      }
+
+      // Snoozes end on their own; whatever came due meanwhile goes out now
+      const ended = await this.db.deleteEndedSnoozes(now);
+      if (ended > 0) {
+        log.info(`⏰ ${ended} snoozes ended, their reminders pick up again`);
+      }
+      const snoozes = await this.db.getActiveSnoozes(null, now);
+
       // Get documents that need reminders from our database
-      const documentsToRemind = await this.db.getDocumentsForReminders();
-      console.log(`📋 Found ${documentsToRemind.length} documents that may need reminders`);
+      const trackedDocuments = await this.db.getDocumentsForReminders();
+      const snoozed = trackedDocuments.filter(docReminder => findSnooze(snoozes, docReminder.document_id));
+      const documentsToRemind = trackedDocuments.filter(docReminder =>
+        // Snoozed documents aren't looked at until their snooze ends
+        !snoozed.includes(docReminder) &&
+        // While catch-up is spread out, documents wait for their slot
+        !this.isDeferred(docReminder.document_id, now) &&
+        needsCheck(docReminder, now, this.calendar, this.policies.get(docReminder.policy || config.escalation.defaultPolicy))
+      );
+      if (snoozed.length > 0) {
+        log.info(`😴 ${snoozed.length} documents are snoozed`);
+      }
+      log.info(`📋 Found ${documentsToRemind.length} documents that may need reminders`);
 
       if (documentsToRemind.length === 0) {
-        console.log('✅ No reminders needed at this time');
-        return { processed: 0, sent: 0, errors: 0 };
+        log.info('✅ No reminders needed at this time');
+        return { processed: 0, sent: 0, deferred: 0, errors: 0 };
       }
 
       let processed = 0;
       let sent = 0;
+      let deferred = 0; // failed resends handed to the retry queue
       let errors = 0;
+      let left = 0;
+
+      // Several documents at a time; the API client's rate limiter keeps the
+      // request rate in check
+      await mapWithConcurrency(documentsToRemind, config.documenso.concurrency, async (docReminder) => {
+        // On shutdown, documents in progress finish and the rest wait for the next run
+        if (this.stopping) {
+          left++;
+          return;
+        }
+
+        const documentLog = log.child({ documentId: docReminder.document_id });
 
-      for (const docReminder of documentsToRemind) {
         try {
-          const result = await this.processDocumentReminder(docReminder);
+          const result = await this.processDocumentReminder(docReminder, documentLog);
           processed++;
           
+          if (result.deferred) deferred++;
           if (result.sent) {
             sent++;
-            console.log(`✅ Reminder sent for document ${docReminder.document_id}`);
+            documentLog.info(`✅ Reminder sent for document ${docReminder.document_id}`);
+          } else if (result.deferred) {
+            documentLog.info(`🔁 Reminder for document ${docReminder.document_id} waits for a retry: ${result.reason}`);
           } else {
-            console.log(`ℹ️  No reminder needed for document ${docReminder.document_id}: ${result.reason}`);
+            documentLog.info(`ℹ️  No reminder needed for document ${docReminder.document_id}: ${result.reason}`);
           }
         } catch (error) {
           errors++;
-          console.error(`❌ Error processing document ${docReminder.document_id}:`, error.message);
+          documentLog.error(`❌ Error processing document ${docReminder.document_id}`, { error });
         }
+      });
+
+      if (left > 0) {
+        log.info(`🛑 Shutting down, ${left} documents left for the next run`);
       }
 
-      console.log(`\n📊 Reminder processing complete:`);
-      console.log(`   • Processed: ${processed} documents`);
-      console.log(`   • Reminders sent: ${sent}`);
-      console.log(`   • Errors: ${errors}`);
+      log.info(`📊 Reminder processing complete: ${processed} documents processed, ${sent} sent, ${deferred} waiting for retry, ${errors} errors`, {
+        processed,
+        sent,
+        deferred,
+        errors
+      });
 
-      return { processed, sent, errors };
+      return { processed, sent, deferred, errors };
     } catch (error) {
-      console.error('❌ Failed to process reminders:', error.message);
+      log.error('❌ Failed to process reminders', { error });
       throw error;
     }
   }
 
   // Process reminder for a specific document
-  async processDocumentReminder(docReminder) {
+  async processDocumentReminder(docReminder, log = this.log.child({ documentId: docReminder.document_id })) {
     const documentId = docReminder.document_id;
     
     // Check if reminders are stopped for this document
@@ -81,6 +421,12 @@ class ReminderService {
       return { sent: false, reason: 'Reminders stopped for this document' };
     }
 
+    const snoozes = await this.db.getActiveSnoozes(documentId);
+    const documentSnooze = findSnooze(snoozes, documentId);
+    if (documentSnooze) {
+      return { sent: false, reason: `Reminders snoozed until ${formatSnoozeEnd(documentSnooze, this.calendar.timezone)}` };
+    }
+
     // Get current document details from Documenso
     let document;
     try {
@@ -89,107 +435,1185 @@ class ReminderService {
       // Document might not exist anymore
       if (error.message.includes('404') || error.message.includes('not found')) {
         await this.db.stopReminders(documentId, null, 'document_not_found', 'system');
+        metrics.remindersSkipped.inc({ reason: metrics.SkipReason.NOT_FOUND });
         return { sent: false, reason: 'Document no longer exists' };
       }
       throw error;
     }
 
     // Check if document is still pending
-    const pendingRecipients = this.api.getPendingRecipients(document);
-    if (pendingRecipients.length === 0) {
+    const progress = getDocumentProgress(document);
+    if (progress === 'rejected') {
+      await this.db.stopReminders(documentId, null, 'document_rejected', 'system');
+      await this.notifyFinished(document, 'document_rejected', log);
+      metrics.remindersSkipped.inc({ reason: metrics.SkipReason.REJECTED });
+      return { sent: false, reason: 'Document was rejected' };
+    }
+
+    if (progress === 'completed') {
       // Document is complete, stop reminders
       await this.db.stopReminders(documentId, null, 'document_completed', 'system');
+      await this.notifyFinished(document, 'document_completed', log);
+      metrics.remindersSkipped.inc({ reason: metrics.SkipReason.COMPLETED });
       return { sent: false, reason: 'Document is fully signed' };
     }
 
-    // Check if we've reached max reminders
-    if (docReminder.reminder_count >= docReminder.max_reminders) {
-      await this.db.stopReminders(documentId, null, 'max_reminders_reached', 'system');
-      return { sent: false, reason: `Maximum reminders reached (${docReminder.max_reminders})` };
+    // Settings from the document's tag in Documenso
+    docReminder = await this.syncOverrides(docReminder, document, log);
+    if (!docReminder.enabled) {
+      return { sent: false, reason: 'Reminders turned off in Documenso' };
+    }
+
+    if (!this.dryRun) {
+      await this.db.markDocumentChecked(documentId);
     }
 
-    // Filter out recipients who have stopped reminders individually
-    const activeRecipients = [];
-    for (const recipientId of pendingRecipients) {
-      const recipientStopped = await this.db.isReminderStopped(documentId, recipientId);
-      if (!recipientStopped) {
-        activeRecipients.push(recipientId);
+    // Work out who can act now; each recipient has their own count and interval
+    const { recipients } = await this.syncRecipients(docReminder, document, log);
+    if (recipients.length === 0) {
+      return { sent: false, reason: 'Only recipients who are not reminded are left to act' };
+    }
+
+    // Documents with an escalation policy follow its steps instead of the interval
+    const policy = this.getPolicyFor(docReminder);
+    if (policy) {
+      return this.processEscalation(docReminder, document, recipients, policy, log, snoozes);
+    }
+
+    const now = DateTime.now();
+    const dueReminders = [];
+    const queued = await this.db.getRetryRecipientIds(documentId);
+    let inactive = 0;
+
+    for (const { reminder } of recipients) {
+      // Failed resends are retried on their own schedule
+      if (queued.has(reminder.recipient_id)) continue;
+
+      // Skip recipients who have stopped reminders individually
+      const recipientStopped = await this.db.isReminderStopped(documentId, reminder.recipient_id);
+      if (recipientStopped) {
+        inactive++;
+        continue;
+      }
+
+      // Snoozed recipients are reminded once their snooze ends, if still due
+      if (findSnooze(snoozes, documentId, reminder.recipient_id)) {
+        continue;
+      }
+
+      // Check if this recipient has reached max reminders
+      if (reminder.reminder_count >= reminder.max_reminders) {
+        if (!this.dryRun) {
+          await this.db.stopReminders(documentId, reminder.recipient_id, 'max_reminders_reached', 'system');
+        }
+        log.info(`🔕 Recipient ${reminder.recipient_id} of document ${documentId} reached the maximum of ${reminder.max_reminders} reminders`, {
+          recipientIds: [reminder.recipient_id],
+          reminderCount: reminder.reminder_count
+        });
+        await this.notify(NotificationEvent.MAX_REMINDERS_REACHED, document, {
+          recipient: findRecipient(document, reminder.recipient_id),
+          reminders: reminder.reminder_count
+        }, log);
+        metrics.remindersSkipped.inc({ reason: metrics.SkipReason.MAX_REACHED });
+        inactive++;
+        continue;
+      }
+
+      if (getNextReminderAt(reminder, docReminder.interval_days, this.calendar) <= now) {
+        dueReminders.push(reminder);
       }
     }
 
-    if (activeRecipients.length === 0) {
-      return { sent: false, reason: 'All recipients have stopped reminders' };
+    if (dueReminders.length === 0) {
+      return {
+        sent: false,
+        reason: inactive === recipients.length
+          ? 'All recipients have stopped reminders or reached their maximum'
+          : 'No recipient is due for a reminder yet'
+      };
     }
 
-    // Send reminder
-    const reminderCount = (docReminder.reminder_count || 0) + 1;
-    
+    const describe = reminders => reminders.map(reminder => `${reminder.recipient_id} (#${reminder.reminder_count + 1})`).join(', ');
+
     if (this.dryRun) {
-      console.log(`🔍 DRY RUN: Would send reminder #${reminderCount} for document ${documentId} to recipients: ${activeRecipients.join(', ')}`);
-      await this.db.recordReminderSent(documentId, activeRecipients, reminderCount, true);
+      log.info(`🔍 DRY RUN: Would send reminders for document ${documentId} to recipients: ${describe(dueReminders)}`, {
+        recipientIds: dueReminders.map(reminder => reminder.recipient_id),
+        reminderCount: dueReminders.map(reminder => reminder.reminder_count + 1)
+      });
       return { sent: true, reason: 'Dry run - simulated' };
     }
 
-    const result = await this.api.sendReminder(documentId, activeRecipients);
-    
-    // Record the reminder attempt
-    await this.db.recordReminderSent(
-      documentId, 
-      activeRecipients, 
-      reminderCount, 
-      result.success,
-      result.error
-    );
-
-    if (result.success) {
+    const sent = [];
+    const failed = []; // queued for retry (or dead-lettered) by scheduleRetries
+
+    for (let batch of this.deliveryBatches(dueReminders)) {
+      // Claim each reminder first, so that no other run (or instance) sends it too
+      const claims = await this.claimSends(documentId, batch.map(reminder => ({
+        recipientId: reminder.recipient_id,
+        key: idempotencyKey(documentId, reminder.recipient_id, `reminder:${reminder.reminder_count + 1}`),
+        reminderCount: reminder.reminder_count + 1
+      })), log);
+
+      batch = batch.filter(reminder => claims.has(reminder.recipient_id));
+      if (batch.length === 0) continue;
+
+      const recipientIds = batch.map(reminder => reminder.recipient_id);
+      const sendLog = log.child({
+        recipientIds,
+        reminderCount: batch.map(reminder => reminder.reminder_count + 1)
+      });
+
+      const result = await this.sendReminders(document, batch, sendLog);
+
+      // Record the reminder attempt for each recipient
+      for (const reminder of batch) {
+        await this.db.recordReminderSent(
+          documentId,
+          reminder.recipient_id,
+          reminder.reminder_count + 1,
+          result.success,
+          result.error
+        );
+      }
+      await this.finishSends(claims, result.success);
+
+      if (result.success) {
+        metrics.remindersSent.inc({ mode: 'interval' }, batch.length);
+        sent.push(...batch);
+      } else {
+        metrics.remindersFailed.inc({ mode: 'interval' }, batch.length);
+        await this.scheduleRetries(document, recipientIds.map(recipientId => ({ recipientId })), result, sendLog);
+        failed.push(...batch);
+      }
+    }
+
+    if (sent.length > 0) {
       const docInfo = this.api.formatDocumentInfo(document);
-      console.log(`📧 Reminder #${reminderCount} sent for "${docInfo.title}" to ${activeRecipients.length} recipients`);
-      return { sent: true, reason: `Reminder #${reminderCount} sent successfully` };
-    } else {
-      throw new Error(result.error);
+      log.info(`📧 Reminders sent for "${docInfo.title}" to ${sent.length} recipients: ${describe(sent)}`, {
+        recipientIds: sent.map(reminder => reminder.recipient_id)
+      });
     }
+    // A failed resend is handled once scheduleRetries has queued it (and
+    // logged why); the document isn't an error of this run
+    const deferred = failed.length > 0 ? `resend to ${describe(failed)} failed, handed to the retry queue` : null;
+    if (sent.length === 0) {
+      return deferred
+        ? { sent: false, deferred: true, reason: deferred }
+        : { sent: false, reason: 'These reminders were already sent by another run' };
+    }
+
+    return { sent: true, deferred: Boolean(deferred), reason: `Reminders sent to ${describe(sent)}${deferred ? `; ${deferred}` : ''}` };
+  }
+
+  // Escalation policy for a document: its own, else the configured default
+  getPolicyFor(docReminder) {
+    const name = docReminder.policy || config.escalation.defaultPolicy;
+    if (!name) return null;
+
+    const policy = this.policies.get(name);
+    if (!policy) {
+      throw new Error(`Unknown escalation policy "${name}"`);
+    }
+    return policy;
+  }
+
+  // Run the next escalation step of each recipient whose step is due. Steps
+  // count from when the recipient could first act and run one at a time, so a
+  // recipient who is several steps behind catches up over several runs.
+  async processEscalation(docReminder, document, recipients, policy, log = this.log, snoozes = []) {
+    const documentId = docReminder.document_id;
+    const now = DateTime.now();
+    const dueSteps = new Map(); // step index -> recipients reaching it
+    const queued = await this.db.getRetryRecipientIds(documentId);
+
+    for (const { recipient, reminder } of recipients) {
+      // A failed resend step waits in the retry queue
+      if (queued.has(reminder.recipient_id)) continue;
+
+      const recipientStopped = await this.db.isReminderStopped(documentId, reminder.recipient_id);
+      const stepIndex = reminder.escalation_step || 0;
+      const step = policy.steps[stepIndex];
+
+      if (recipientStopped) {
+        continue;
+      }
+      if (!step) continue;
+
+      // A snoozed recipient's due step runs once the snooze ends
+      if (findSnooze(snoozes, documentId, reminder.recipient_id)) {
+        continue;
+      }
+
+      if (getStepDueAt(reminder, step, this.calendar) <= now) {
+        if (!dueSteps.has(stepIndex)) dueSteps.set(stepIndex, []);
+        dueSteps.get(stepIndex).push({ recipient, reminder });
+      }
+    }
+
+    if (dueSteps.size === 0) {
+      return { sent: false, reason: `No escalation step due (policy "${policy.name}")` };
+    }
+
+    const completed = [];
+    const failures = [];
+    const deferred = [];
+
+    for (const [stepIndex, due] of dueSteps) {
+      const step = policy.steps[stepIndex];
+      const label = `step ${stepIndex + 1}/${policy.steps.length} "${step.name}" (${step.action})`;
+
+      if (this.dryRun) {
+        const recipientIds = due.map(({ reminder }) => reminder.recipient_id);
+        log.info(`🔍 DRY RUN: Would run ${label} of policy "${policy.name}" for document ${documentId}, recipients: ${recipientIds.join(', ')}`, {
+          recipientIds,
+          policy: policy.name,
+          step: step.name
+        });
+        completed.push(label);
+        continue;
+      }
+
+      // Resends may go out one recipient at a time; other actions cover
+      // everyone who reached the step at once
+      const batches = step.action === EscalationAction.RESEND ? this.deliveryBatches(due) : [due];
+      let ran = false;
+
+      for (let entries of batches) {
+        // Each recipient's step runs once, whichever run or instance gets to it first
+        const claims = await this.claimSends(documentId, entries.map(({ reminder }) => ({
+          recipientId: reminder.recipient_id,
+          key: idempotencyKey(documentId, reminder.recipient_id, `${policy.name}:${stepIndex}`),
+          reminderCount: step.action === EscalationAction.RESEND && reminder.reminder_count < reminder.max_reminders
+            ? reminder.reminder_count + 1
+            : null,
+          policy: policy.name,
+          stepIndex,
+          stepName: step.name
+        })), log);
+        entries = entries.filter(({ reminder }) => claims.has(reminder.recipient_id));
+        if (entries.length === 0) continue;
+
+        const recipientIds = entries.map(({ reminder }) => reminder.recipient_id);
+        const stepLog = log.child({ recipientIds, policy: policy.name, step: step.name });
+
+        try {
+          await this.runEscalationStep(document, policy, step, entries, stepLog);
+
+          for (const recipientId of recipientIds) {
+            await this.db.setEscalationStep(documentId, recipientId, stepIndex + 1);
+          }
+          await this.db.recordEscalationEvent(documentId, recipientIds, policy.name, stepIndex, step);
+          await this.finishSends(claims, true);
+
+          stepLog.info(`📈 Document ${documentId}: ran ${label} for recipients ${recipientIds.join(', ')}`);
+          ran = true;
+        } catch (error) {
+          await this.finishSends(claims, false);
+          await this.db.recordEscalationEvent(documentId, recipientIds, policy.name, stepIndex, step, false, error.message);
+          if (error instanceof RetryQueuedError) {
+            deferred.push(`${label} for recipients ${recipientIds.join(', ')}`);
+          } else {
+            failures.push(`${label}: ${error.message}`);
+          }
+        }
+      }
+
+      if (ran) completed.push(label);
+    }
+
+    if (failures.length > 0) {
+      throw new Error(failures.join('; '));
+    }
+    const waiting = deferred.length > 0 ? `resend of ${deferred.join(', ')} failed, handed to the retry queue` : null;
+    if (completed.length === 0) {
+      return waiting
+        ? { sent: false, deferred: true, reason: waiting }
+        : { sent: false, reason: 'These escalation steps were already run by another run' };
+    }
+
+    return { sent: true, deferred: Boolean(waiting), reason: `Escalation ${completed.join(', ')}${waiting ? `; ${waiting}` : ''}` };
+  }
+
+  // Carry out one escalation step for the recipients who reached it
+  async runEscalationStep(document, policy, step, entries, log = this.log) {
+    switch (step.action) {
+      case EscalationAction.RESEND: {
+        // Recipients who used up their reminders still move on to later steps
+        const toRemind = entries.filter(({ reminder }) => reminder.reminder_count < reminder.max_reminders);
+        metrics.remindersSkipped.inc({ reason: metrics.SkipReason.MAX_REACHED }, entries.length - toRemind.length);
+        if (toRemind.length === 0) return;
+
+        const result = await this.sendReminders(document, toRemind.map(({ reminder }) => reminder), log, step.name);
+
+        for (const { reminder } of toRemind) {
+          await this.db.recordReminderSent(
+            document.id,
+            reminder.recipient_id,
+            reminder.reminder_count + 1,
+            result.success,
+            result.error,
+            step.name
+          );
+        }
+
+        if (!result.success) {
+          metrics.remindersFailed.inc({ mode: 'escalation' }, toRemind.length);
+          const stepIndex = policy.steps.indexOf(step);
+          await this.scheduleRetries(
+            document,
+            toRemind.map(({ reminder }) => ({ recipientId: reminder.recipient_id })),
+            result,
+            log,
+            { policy: policy.name, stepIndex, stepName: step.name }
+          );
+          throw new RetryQueuedError(result.error);
+        }
+        metrics.remindersSent.inc({ mode: 'escalation' }, toRemind.length);
+        return;
+      }
+
+      case EscalationAction.EMAIL_OWNER: {
+        const to = step.to || this.getOwnerEmail(document);
+        if (!to) {
+          throw new Error(`No email address for the owner (user ${document.userId}); set OWNER_EMAILS or the step's "to"`);
+        }
+
+        await this.mailer.send({ to, ...this.formatEscalationEmail(document, policy, step, entries) });
+        return;
+      }
+
+      case EscalationAction.WEBHOOK: {
+        const payload = {
+          event: 'REMINDER_ESCALATION',
+          policy: policy.name,
+          step: { name: step.name, afterDays: step.afterDays },
+          document: { id: document.id, title: document.title, userId: document.userId, teamId: document.teamId },
+          recipients: entries.map(({ recipient, reminder }) => ({
+            id: recipient.id,
+            name: recipient.name,
+            email: recipient.email,
+            remindersSent: reminder.reminder_count
+          })),
+          createdAt: DateTime.utc().toISO()
+        };
+        const body = JSON.stringify(payload);
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (step.secret) {
+          headers['X-Reminders-Signature'] = `sha256=${crypto.createHmac('sha256', step.secret).update(body).digest('hex')}`;
+        }
+
+        await axios.post(step.url, body, { headers, timeout: 10000 });
+        return;
+      }
+
+      default:
+        throw new Error(`Unknown escalation action "${step.action}"`);
+    }
+  }
+
+  // Claim the idempotency key of each reminder about to be sent. Returns the
+  // keys this run may send, by recipient ID; the others were already sent, or
+  // are being sent by another run right now.
+  async claimSends(documentId, entries, log) {
+    const claims = new Map();
+    const staleBefore = DateTime.utc().minus({ seconds: config.runLock.ttlSeconds });
+
+    for (const { recipientId, key, ...details } of entries) {
+      const existing = await this.db.claimSend(key, documentId, recipientId, this.instanceId, details);
+      if (!existing) {
+        claims.set(recipientId, key);
+        continue;
+      }
+
+      if (existing.status === SendStatus.SENDING && parseTimestamp(existing.claimed_at) < staleBefore) {
+        await this.settleStaleClaim(existing, log);
+      } else {
+        log.info(`⏭️  Skipping recipient ${recipientId} of document ${documentId}: ${existing.status === SendStatus.SENDING ? 'another run is sending this reminder' : 'this reminder was already sent'}`, {
+          recipientIds: [recipientId],
+          idempotencyKey: key
+        });
+      }
+    }
+
+    return claims;
+  }
+
+  // Close this run's claims: sent ones stay claimed, failed ones are freed for
+  // a retry
+  async finishSends(claims, success) {
+    for (const key of claims.values()) {
+      if (success) {
+        await this.db.completeSend(key, SendStatus.SENT);
+      } else {
+        await this.db.releaseSend(key);
+      }
+    }
+  }
+
+  // A claim left behind by a run that stopped between sending and recording
+  // the outcome. The email may well have gone out, so it counts as sent
+  // rather than risk sending it twice.
+  async settleStaleClaim(claim, log) {
+    if (!await this.db.completeSend(claim.idempotency_key, SendStatus.UNCONFIRMED)) return;
+
+    if (claim.reminder_count !== null) {
+      await this.db.recordReminderSent(
+        claim.document_id,
+        claim.recipient_id,
+        claim.reminder_count,
+        true,
+        'Unconfirmed: the run sending it stopped before recording the result',
+        claim.step_name
+      );
+    }
+    if (claim.step_index !== null) {
+      await this.db.setEscalationStep(claim.document_id, claim.recipient_id, claim.step_index + 1);
+    }
+
+    log.warn(`⚠️  Reminder ${claim.idempotency_key} was claimed by ${claim.owner} at ${claim.claimed_at} and never finished; counting it as sent`, {
+      recipientIds: [claim.recipient_id],
+      idempotencyKey: claim.idempotency_key
+    });
+  }
+
+  // Queue failed resends for another attempt, or move them to the dead-letter
+  // list once they can't succeed (a 4xx other than 408/429) or have used up
+  // their attempts. Failed attempts never count against maxReminders.
+  async scheduleRetries(document, entries, result, log, step = {}) {
+    const documentId = document.id;
+    // Recipients that failed together are retried together
+    const attempts = Math.max(...entries.map(entry => entry.attempts || 0)) + 1;
+    const delay = getRetryDelay(attempts, config.retries, result.retryAfter);
+    const nextAttemptAt = DateTime.now().plus({ seconds: delay });
+    // Our own emails say for themselves; Documenso's resend goes by HTTP status
+    const retryable = result.retryable !== undefined ? result.retryable : isRetryable(result.status);
+
+    for (const { recipientId, attempts: previous = 0 } of entries) {
+      const failedAttempts = previous + 1;
+      const retry = retryable && failedAttempts < config.retries.maxAttempts;
+
+      await this.db.saveRetry(documentId, recipientId, {
+        status: retry ? RetryStatus.PENDING : RetryStatus.DEAD,
+        attempts: failedAttempts,
+        nextAttemptAt: retry ? nextAttemptAt : null,
+        error: result.error,
+        httpStatus: result.status,
+        ...step
+      });
+      metrics.retries.inc({ outcome: retry ? 'scheduled' : 'dead' });
+
+      const fields = { recipientIds: [recipientId], attempts: failedAttempts, status: result.status };
+      if (retry) {
+        log.warn(`🔁 Resend to recipient ${recipientId} of document ${documentId} failed (attempt ${failedAttempts}/${config.retries.maxAttempts}), retrying in ${delay}s`, {
+          ...fields,
+          nextAttemptAt: nextAttemptAt.toUTC().toISO()
+        });
+      } else {
+        log.error(`☠️  Resend to recipient ${recipientId} of document ${documentId} failed (attempt ${failedAttempts}), moved to the dead-letter list`, fields);
+        await this.notify(NotificationEvent.SEND_FAILED, document, {
+          recipient: findRecipient(document, recipientId),
+          attempts: failedAttempts,
+          error: result.error
+        }, log);
+      }
+    }
+  }
+
+  // Resend what failed earlier and is due again. A successful retry counts as
+  // the reminder (or escalation step) it stands in for.
+  async processRetries(log = this.log) {
+    const summary = { retried: 0, succeeded: 0, failed: 0 };
+    const now = DateTime.now();
+    if (!this.calendar.isAllowed(now)) return summary;
+
+    // Snoozed retries stay due, and go out on the first pass after the snooze
+    const snoozes = await this.db.getActiveSnoozes(null, now);
+    const due = (await this.db.getDueRetries(now))
+      .filter(retry => !findSnooze(snoozes, retry.document_id, retry.recipient_id));
+    if (due.length === 0) return summary;
+
+    log.info(`🔁 Retrying ${due.length} failed resends`);
+
+    const byDocument = new Map();
+    for (const retry of due) {
+      if (!byDocument.has(retry.document_id)) byDocument.set(retry.document_id, []);
+      byDocument.get(retry.document_id).push(retry);
+    }
+
+    await mapWithConcurrency([...byDocument], config.documenso.concurrency, async ([documentId, retries]) => {
+      // Retries left over on shutdown stay due for the next pass
+      if (this.stopping) return;
+
+      const documentLog = log.child({ documentId });
+
+      try {
+        const result = await this.retryDocument(documentId, retries, documentLog);
+        summary.retried += result.retried;
+        summary.succeeded += result.succeeded;
+        summary.failed += result.failed;
+      } catch (error) {
+        documentLog.error(`❌ Error retrying resends for document ${documentId}`, { error });
+      }
+    });
+
+    log.info(`📊 Retries complete: ${summary.retried} retried, ${summary.succeeded} succeeded, ${summary.failed} failed`, summary);
+    return summary;
+  }
+
+  // Retry the due resends of one document. Retries that no longer apply
+  // (document finished or stopped, recipient signed, policy moved on) are dropped.
+  async retryDocument(documentId, retries, log = this.log.child({ documentId })) {
+    const result = { retried: 0, succeeded: 0, failed: 0 };
+
+    const drop = async (reason) => {
+      if (this.dryRun) {
+        log.info(`🔍 DRY RUN: Would drop ${retries.length} retries for document ${documentId}: ${reason}`);
+        return result;
+      }
+      for (const retry of retries) {
+        await this.db.deleteRetry(documentId, retry.recipient_id);
+      }
+      log.info(`🗑️  Dropped ${retries.length} retries for document ${documentId}: ${reason}`);
+      return result;
+    };
+
+    const docReminder = await this.db.getDocumentReminder(documentId);
+    if (!docReminder || !docReminder.enabled) {
+      return drop('reminders are stopped');
+    }
+
+    let document;
+    try {
+      document = await this.api.getDocument(documentId);
+    } catch (error) {
+      // The next reminder run stops the document
+      if (error.message.includes('404') || error.message.includes('not found')) {
+        return drop('document no longer exists');
+      }
+      throw error;
+    }
+
+    const progress = getDocumentProgress(document);
+    if (progress !== 'pending') {
+      return drop(`document is ${progress}`);
+    }
+
+    const signingOrder = getSigningOrder(document, docReminder.signing_order);
+    const remindable = new Set(getRecipientsToRemind(document, signingOrder).map(recipient => recipient.id));
+    const reminders = await this.db.getRecipientReminders(documentId);
+    const policy = this.getPolicyFor(docReminder);
+    const groups = new Map(); // step index ('interval' for plain reminders) -> retries
+
+    for (const retry of retries) {
+      const reminder = reminders.find(row => row.recipient_id === retry.recipient_id);
+      const stale = !reminder ||
+        !remindable.has(retry.recipient_id) ||
+        reminder.reminder_count >= reminder.max_reminders ||
+        await this.db.isReminderStopped(documentId, retry.recipient_id) ||
+        (retry.step_index !== null &&
+          (!policy || policy.name !== retry.policy || (reminder.escalation_step || 0) !== retry.step_index));
+
+      if (stale) {
+        if (!this.dryRun) await this.db.deleteRetry(documentId, retry.recipient_id);
+        log.info(`${this.dryRun ? '🔍 DRY RUN: Would drop' : '🗑️  Dropped'} retry for recipient ${retry.recipient_id} of document ${documentId}: no longer due`, {
+          recipientIds: [retry.recipient_id]
+        });
+        continue;
+      }
+
+      const key = retry.step_index === null ? 'interval' : retry.step_index;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ retry, reminder });
+    }
+
+    for (const group of groups.values()) {
+      const { retry: first } = group[0];
+      const escalation = first.step_index !== null;
+      const mode = escalation ? 'escalation' : 'interval';
+
+      if (this.dryRun) {
+        const recipientIds = group.map(({ retry }) => retry.recipient_id);
+        log.info(`🔍 DRY RUN: Would retry the resend for document ${documentId} to recipients: ${recipientIds.join(', ')}`, { recipientIds });
+        result.retried += group.length;
+        continue;
+      }
+
+      for (let entries of this.deliveryBatches(group)) {
+        // A retry claims the same key as the reminder it stands in for
+        const claims = await this.claimSends(documentId, entries.map(({ retry, reminder }) => ({
+          recipientId: retry.recipient_id,
+          key: idempotencyKey(
+            documentId,
+            retry.recipient_id,
+            escalation ? `${retry.policy}:${retry.step_index}` : `reminder:${reminder.reminder_count + 1}`
+          ),
+          reminderCount: reminder.reminder_count + 1,
+          policy: retry.policy,
+          stepIndex: retry.step_index,
+          stepName: retry.step_name
+        })), log);
+
+        // Someone else has sent (or is sending) these; their own failure would queue a new retry
+        for (const { retry } of entries.filter(({ retry }) => !claims.has(retry.recipient_id))) {
+          await this.db.deleteRetry(documentId, retry.recipient_id);
+        }
+        entries = entries.filter(({ retry }) => claims.has(retry.recipient_id));
+        if (entries.length === 0) continue;
+
+        const recipientIds = entries.map(({ retry }) => retry.recipient_id);
+        const sendLog = log.child({
+          recipientIds,
+          attempts: entries.map(({ retry }) => retry.attempts + 1),
+          step: first.step_name
+        });
+        result.retried += entries.length;
+
+        const sendResult = await this.sendReminders(document, entries.map(({ reminder }) => reminder), sendLog, first.step_name);
+
+        for (const { reminder } of entries) {
+          await this.db.recordReminderSent(
+            documentId,
+            reminder.recipient_id,
+            reminder.reminder_count + 1,
+            sendResult.success,
+            sendResult.error,
+            first.step_name
+          );
+        }
+        await this.finishSends(claims, sendResult.success);
+
+        if (!sendResult.success) {
+          metrics.remindersFailed.inc({ mode }, entries.length);
+          await this.scheduleRetries(
+            document,
+            entries.map(({ retry }) => ({ recipientId: retry.recipient_id, attempts: retry.attempts })),
+            sendResult,
+            sendLog,
+            { policy: first.policy, stepIndex: first.step_index, stepName: first.step_name }
+          );
+          result.failed += entries.length;
+          continue;
+        }
+
+        for (const { retry } of entries) {
+          await this.db.deleteRetry(documentId, retry.recipient_id);
+          if (escalation) {
+            await this.db.setEscalationStep(documentId, retry.recipient_id, retry.step_index + 1);
+          }
+        }
+        if (escalation) {
+          await this.db.recordEscalationEvent(documentId, recipientIds, policy.name, first.step_index, policy.steps[first.step_index]);
+        }
+
+        metrics.remindersSent.inc({ mode }, entries.length);
+        metrics.retries.inc({ outcome: 'succeeded' }, entries.length);
+        sendLog.info(`✅ Retried resend for document ${documentId} went through for recipients ${recipientIds.join(', ')}`);
+        result.succeeded += entries.length;
+      }
+    }
+
+    return result;
+  }
+
+  // Documenso's resend reminds everyone due in one request. Our own emails go
+  // out one recipient at a time, so a refused address neither holds up the
+  // others nor gets them a second email when it is retried.
+  deliveryBatches(items) {
+    return config.delivery.mode === DeliveryMode.SMTP ? items.map(item => [item]) : [items];
+  }
+
+  // Remind recipients of a document with Documenso's signing email, or with
+  // our own (REMINDER_DELIVERY=smtp). Resolves to { success, error, status,
+  // retryAfter } like DocumensoAPI.sendReminder; our own emails also say
+  // whether a failure is worth retrying.
+  async sendReminders(document, reminders, log, stepName = null) {
+    if (config.delivery.mode !== DeliveryMode.SMTP) {
+      return this.api.sendReminder(document.id, reminders.map(reminder => reminder.recipient_id), log);
+    }
+
+    for (const reminder of reminders) {
+      const result = await this.sendReminderEmail(document, reminder, log, stepName);
+      if (!result.success) return result;
+    }
+    return { success: true };
+  }
+
+  async sendReminderEmail(document, reminder, log, stepName) {
+    const recipient = findRecipient(document, reminder.recipient_id);
+    if (!recipient.signingUrl) {
+      const error = `Documenso returned no signing link for recipient ${reminder.recipient_id}`;
+      log.error(`❌ Can't email a reminder for document ${document.id}: ${error}`);
+      return { success: false, error, status: null, retryable: false };
+    }
+
+    const optOutUrl = this.getOptOutUrl(document.id, recipient.id);
+    const email = this.reminderTemplates.format({
+      document,
+      recipient,
+      reminder,
+      language: this.getReminderLanguage(document),
+      stepName,
+      optOutUrl
+    });
+
+    try {
+      await this.reminderMailer.send({
+        to: recipient.name ? { name: recipient.name, address: recipient.email } : recipient.email,
+        subject: email.subject,
+        text: email.text,
+        // Mail clients show their own "unsubscribe" for these, posting to the link
+        headers: optOutUrl
+          ? { 'List-Unsubscribe': `<${optOutUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+          : undefined
+      });
+      log.debug(`✉️  Emailed reminder for document ${document.id} to recipient ${reminder.recipient_id} (template ${email.language}/${email.template})`);
+      return { success: true };
+    } catch (error) {
+      log.error(`❌ Failed to email reminder for document ${document.id} to recipient ${reminder.recipient_id}`, {
+        smtpCode: error.responseCode,
+        error: error.message
+      });
+      return {
+        success: false,
+        error: error.message,
+        status: null,
+        retryable: isRetryableSmtp(error.responseCode),
+        retryAfter: null
+      };
+    }
+  }
+
+  // Link for a recipient to stop their own reminders, null when opt-out
+  // links are off
+  getOptOutUrl(documentId, recipientId) {
+    return config.optOut.enabled ? createOptOutUrl(documentId, recipientId, config.optOut) : null;
+  }
+
+  // Language of a document's reminder emails: its "[reminders lang=..]" tag,
+  // else REMINDER_DEFAULT_LANGUAGE (the v1 API doesn't return Documenso's own)
+  getReminderLanguage(document) {
+    const { overrides } = getDocumentOverrides(document, this.policies);
+    return overrides.language || config.delivery.defaultLanguage;
+  }
+
+  // The reminder emails a document's recipients would get next, without
+  // sending anything. Works whatever REMINDER_DELIVERY is, so templates can
+  // be tried before switching. language and stepName replace the ones the
+  // document would use; stepName null previews the interval reminder.
+  async previewReminders(documentId, { language, stepName } = {}) {
+    const templates = this.reminderTemplates ||
+      loadReminderTemplates(config.delivery.templatesDir, config.delivery.defaultLanguage);
+    const document = await this.api.getDocument(documentId);
+    const docReminder = await this.db.getDocumentReminder(documentId);
+    const rows = docReminder ? await this.db.getRecipientReminders(documentId) : [];
+    const policyName = (docReminder && docReminder.policy) || config.escalation.defaultPolicy;
+    const policy = policyName ? this.policies.get(policyName) : null;
+    const signingOrder = getSigningOrder(document, docReminder && docReminder.signing_order);
+    const maxReminders = docReminder ? docReminder.max_reminders : config.reminders.maxReminders;
+
+    const previews = getRecipientsToRemind(document, signingOrder).map(recipient => {
+      const reminder = rows.find(row => row.recipient_id === recipient.id) ||
+        { recipient_id: recipient.id, reminder_count: 0, max_reminders: maxReminders, activated_at: null, escalation_step: 0 };
+
+      // With a policy, the next reminder is its next resend step
+      let step = stepName;
+      if (step === undefined) {
+        const next = policy && policy.steps.slice(reminder.escalation_step || 0)
+          .find(candidate => candidate.action === EscalationAction.RESEND);
+        step = next ? next.name : null;
+      }
+
+      return {
+        recipient,
+        reminder,
+        stepName: step,
+        email: templates.format({
+          document,
+          recipient,
+          reminder,
+          language: language || this.getReminderLanguage(document),
+          stepName: step,
+          optOutUrl: this.getOptOutUrl(document.id, recipient.id)
+        })
+      };
+    });
+
+    return { document, tracked: docReminder, previews };
+  }
+
+  // Owner email for a document, from OWNER_EMAILS or the fallback address
+  getOwnerEmail(document) {
+    return config.owners.emails[String(document.userId)] || config.owners.fallbackEmail;
+  }
+
+  formatEscalationEmail(document, policy, step, entries) {
+    const title = withoutTag(document.title) || 'Untitled Document';
+    const lines = entries.map(({ recipient, reminder }) => {
+      const waitingDays = Math.floor(DateTime.now().diff(parseTimestamp(reminder.activated_at), 'days').days);
+      return `  • ${recipient.name || recipient.email} <${recipient.email}> - waiting ${waitingDays} days, ${reminder.reminder_count} reminders sent`;
+    });
+
+    return {
+      subject: `Signature still pending: "${title}"`,
+      text: [
+        'Hello,',
+        '',
+        `"${title}" (document ${document.id}) is still waiting for:`,
+        ...lines,
+        '',
+        `Escalation: policy "${policy.name}", step "${step.name}"`,
+        `Open in Documenso: ${config.documenso.baseUrl}/documents/${document.id}`
+      ].join('\n')
+    };
+  }
+
+  // Apply the settings in the document's "[reminders ...]" tag in Documenso.
+  // Settings the tag names win over stored ones; a setting taken out of the
+  // tag goes back to the default, unless it was changed by other means since.
+  // "off" stops the document until the tag is gone. Returns the document
+  // reminder with the settings now in effect.
+  async syncOverrides(docReminder, document, log = this.log.child({ documentId: docReminder.document_id })) {
+    const documentId = docReminder.document_id;
+    const { overrides, problems } = getDocumentOverrides(document, this.policies);
+    if (problems.length > 0) {
+      log.warn(`⚠️  Ignoring reminder settings of document ${documentId}: ${problems.join('; ')}`);
+    }
+
+    const previous = docReminder.overrides ? JSON.parse(docReminder.overrides) : {};
+    const defaults = { intervalDays: config.reminders.intervalDays, maxReminders: config.reminders.maxReminders, policy: null };
+    const current = { intervalDays: docReminder.interval_days, maxReminders: docReminder.max_reminders, policy: docReminder.policy };
+
+    const changes = {};
+    for (const key of Object.keys(defaults)) {
+      if (overrides[key] !== undefined) {
+        if (overrides[key] !== current[key]) changes[key] = overrides[key];
+      } else if (previous[key] !== undefined && previous[key] === current[key] && current[key] !== defaults[key]) {
+        changes[key] = defaults[key];
+      }
+    }
+
+    // A dry run works out the synced settings without storing them
+    const synced = { ...docReminder };
+    const applied = this.dryRun ? '🔍 DRY RUN: Would apply' : '🎛️  Applied';
+
+    if (Object.keys(changes).length > 0) {
+      if (!this.dryRun) await this.db.updateDocumentSettings(documentId, changes);
+      if (changes.intervalDays !== undefined) synced.interval_days = changes.intervalDays;
+      if (changes.maxReminders !== undefined) synced.max_reminders = changes.maxReminders;
+      if (changes.policy !== undefined) synced.policy = changes.policy;
+
+      const described = [
+        changes.intervalDays !== undefined && `interval ${changes.intervalDays} days`,
+        changes.maxReminders !== undefined && `max ${changes.maxReminders} reminders`,
+        changes.policy !== undefined && `policy ${changes.policy || 'default'}`
+      ].filter(Boolean).join(', ');
+      log.info(`${applied} settings from Documenso to document ${documentId}: ${described}`, changes);
+    }
+
+    const stored = Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : null;
+    if (stored !== (docReminder.overrides || null)) {
+      if (!this.dryRun) await this.db.setDocumentOverrides(documentId, stored ? overrides : null);
+      synced.overrides = stored;
+    }
+
+    if (overrides.disabled && synced.enabled) {
+      if (!this.dryRun) await this.db.stopReminders(documentId, null, DISABLED_REASON, 'system');
+      synced.enabled = 0;
+      synced.stopped_reason = DISABLED_REASON;
+      log.info(this.dryRun
+        ? `🔍 DRY RUN: Would stop reminders for document ${documentId}, turned off in Documenso`
+        : `🔕 Reminders turned off in Documenso for document ${documentId}`);
+    } else if (!overrides.disabled && !synced.enabled && synced.stopped_reason === DISABLED_REASON) {
+      if (!this.dryRun) await this.db.resumeReminders(documentId);
+      synced.enabled = 1;
+      synced.stopped_reason = null;
+      log.info(this.dryRun
+        ? `🔍 DRY RUN: Would resume reminders for document ${documentId}, turned back on in Documenso`
+        : `🔔 Reminders turned back on in Documenso for document ${documentId}`);
+    }
+
+    return synced;
+  }
+
+  // Work out who to remind for a document and make sure each of them is
+  // tracked. In sequential documents only the current signer is reminded. When
+  // it becomes the next signer's turn they start at reminder #1, one interval
+  // after the previous signer signed.
+  async syncRecipients(docReminder, document, log = this.log.child({ documentId: docReminder.document_id })) {
+    const documentId = docReminder.document_id;
+    const signingOrder = getSigningOrder(document, docReminder.signing_order);
+
+    // Only an order Documenso told us is stored. An inferred one is worked out
+    // again each time: a recipient added to a parallel document after it was
+    // sent looks sequential until Documenso sends to them too.
+    const fromMeta = document.documentMeta && document.documentMeta.signingOrder;
+    if (fromMeta && fromMeta !== docReminder.signing_order && !this.dryRun) {
+      await this.db.setSigningOrder(documentId, fromMeta);
+    }
+
+    const existing = await this.db.getRecipientReminders(documentId);
+    const recipients = [];
+    const activated = [];
+
+    for (const recipient of getRecipientsToRemind(document, signingOrder)) {
+      let reminder = existing.find(row => row.recipient_id === recipient.id);
+
+      if (!reminder) {
+        const activatedAt = getActivationTime(document, signingOrder, docReminder);
+        // A dry run works out when they'd be reminded without tracking them
+        reminder = this.dryRun
+          ? {
+            document_id: documentId,
+            recipient_id: recipient.id,
+            reminder_count: 0,
+            max_reminders: docReminder.max_reminders,
+            last_sent_at: null,
+            activated_at: activatedAt.toUTC().toISO(),
+            escalation_step: 0
+          }
+          : await this.db.activateRecipient(documentId, recipient.id, activatedAt, docReminder.max_reminders);
+        activated.push(reminder);
+
+        if (signingOrder === SigningOrder.SEQUENTIAL && existing.length > 0) {
+          log.info(`🔀 Document ${documentId}: recipient ${recipient.id} is next to sign, their reminders start now`, {
+            recipientIds: [recipient.id]
+          });
+        }
+      }
+
+      recipients.push({ recipient, reminder });
+    }
+
+    return { signingOrder, recipients, activated };
   }
 
   // Auto-enroll new pending documents for reminders
-  async autoEnrollPendingDocuments() {
+  async autoEnrollPendingDocuments(log = this.log) {
     try {
-      console.log('🔍 Checking for new pending documents to enroll...');
+      log.info('🔍 Checking for new pending documents to enroll...');
       
       const pendingDocs = await this.api.getPendingDocuments();
       let enrolled = 0;
+      let excluded = 0;
 
       for (const doc of pendingDocs) {
-        // Check if already enrolled
-        const documentsInDb = await this.db.getDocumentsForReminders();
-        const alreadyEnrolled = documentsInDb.some(d => d.document_id === doc.id);
-        
-        if (!alreadyEnrolled) {
-          await this.db.enableReminders(doc.id);
+        // Check if already enrolled (including documents whose reminders were stopped)
+        const alreadyEnrolled = await this.db.getDocumentReminder(doc.id);
+        const documentLog = log.child({ documentId: doc.id });
+
+        if (alreadyEnrolled) {
+          // Pick up changes to the document's settings tag
+          await this.syncOverrides(alreadyEnrolled, doc, documentLog);
+        } else {
+          // Excluded documents aren't recorded, so a later pass decides again
+          const decision = await this.decideEnrollment(doc);
+          if (!decision.include) {
+            excluded++;
+            documentLog.debug(`🚫 Not enrolling document ${doc.id}: ${describeDecision(decision)}`);
+            continue;
+          }
+
+          await this.db.enableReminders(doc.id, { policy: decision.policy });
+          await this.syncOverrides(await this.db.getDocumentReminder(doc.id), doc, documentLog);
+          metrics.documentsEnrolled.inc({ source: 'poll' });
           enrolled++;
           const docInfo = this.api.formatDocumentInfo(doc);
-          console.log(`➕ Enrolled document "${docInfo.title}" (ID: ${doc.id}) for automatic reminders`);
+          log.info(`➕ Enrolled document "${docInfo.title}" (ID: ${doc.id}) for automatic reminders${decision.rule ? ` (${describeDecision(decision)})` : ''}`, { documentId: doc.id });
         }
       }
 
       if (enrolled === 0) {
-        console.log('ℹ️  No new documents to enroll');
+        log.info(`ℹ️  No new documents to enroll${excluded > 0 ? `, ${excluded} left out by enrollment rules` : ''}`, { excluded });
       } else {
-        console.log(`✅ Enrolled ${enrolled} new documents for automatic reminders`);
+        log.info(`✅ Enrolled ${enrolled} new documents for automatic reminders${excluded > 0 ? `, ${excluded} left out by enrollment rules` : ''}`, { enrolled, excluded });
       }
 
       return enrolled;
     } catch (error) {
-      console.error('❌ Failed to auto-enroll documents:', error.message);
+      log.error('❌ Failed to auto-enroll documents', { error });
       throw error;
     }
   }
 
+  // React to a Documenso webhook event for a document
+  async handleDocumentEvent(event, document) {
+    const documentId = document.id;
+    const tracked = await this.db.getDocumentReminder(documentId);
+
+    switch (event) {
+      case 'DOCUMENT_SENT':
+      case 'DOCUMENT_SIGNED': {
+        const progress = getDocumentProgress(document);
+        if (progress !== 'pending') {
+          return this.stopForEvent(tracked, document, `document_${progress}`);
+        }
+
+        const signingOrder = document.documentMeta ? document.documentMeta.signingOrder : null;
+
+        if (tracked) {
+          const current = await this.syncOverrides(tracked, document);
+          if (!current.enabled || event !== 'DOCUMENT_SIGNED') {
+            return { action: 'already_tracked', documentId };
+          }
+
+          // Start the next signer's reminders as soon as it is their turn
+          const { signingOrder, activated } = await this.syncRecipients(current, document);
+          const nextSigner = signingOrder === SigningOrder.SEQUENTIAL && activated.length > 0;
+          return { action: nextSigner ? 'next_signer' : 'updated', documentId };
+        }
+
+        const decision = await this.decideEnrollment(document);
+        if (!decision.include) {
+          return { action: 'excluded', documentId, rule: decision.rule ? decision.rule.name : null };
+        }
+
+        // A signature for an untracked document means we missed DOCUMENT_SENT
+        await this.db.enableReminders(documentId, { signingOrder, policy: decision.policy });
+        const enrolled = await this.syncOverrides(await this.db.getDocumentReminder(documentId), document);
+        if (enrolled.enabled) {
+          await this.syncRecipients(enrolled, document);
+        }
+        metrics.documentsEnrolled.inc({ source: 'webhook' });
+        this.log.info(`➕ Enrolled document "${document.title || 'Untitled Document'}" (ID: ${documentId}) from ${event} webhook`, { documentId });
+        return { action: 'enrolled', documentId };
+      }
+
+      case 'DOCUMENT_COMPLETED':
+        return this.stopForEvent(tracked, document, 'document_completed');
+
+      case 'DOCUMENT_REJECTED':
+        return this.stopForEvent(tracked, document, 'document_rejected');
+
+      case 'DOCUMENT_CANCELLED':
+        return this.stopForEvent(tracked, document, 'document_cancelled');
+
+      default:
+        return { action: 'ignored', documentId };
+    }
+  }
+
+  // Whether the enrollment rules let a pending document in, and with which
+  // policy (see evaluateEnrollment)
+  async decideEnrollment(document) {
+    if (needsRecipients(this.enrollmentRules) && !Array.isArray(document.recipients)) {
+      document = await this.api.getDocument(document.id);
+    }
+    return evaluateEnrollment(document, this.enrollmentRules);
+  }
+
+  // How the enrollment rules decide about a document, for --explain: the
+  // document, its current tracking and the decision
+  async explainEnrollment(documentId) {
+    const document = await this.api.getDocument(documentId);
+    const tracked = await this.db.getDocumentReminder(documentId);
+    return { document, tracked, decision: evaluateEnrollment(document, this.enrollmentRules) };
+  }
+
+  // Stop an enrolled document in response to a webhook
+  async stopForEvent(tracked, document, reason) {
+    const documentId = document.id;
+    if (!tracked || !tracked.enabled) {
+      return { action: 'ignored', documentId };
+    }
+
+    await this.db.stopReminders(documentId, null, reason, 'system');
+    await this.notifyFinished(document, reason);
+    return { action: 'stopped', documentId, reason };
+  }
+
+  // A recipient followed the opt-out link in a reminder email: stop their
+  // reminders for the document and let the owner know. Resolves to
+  // { action: 'stopped' | 'already_stopped' | 'not_tracked' }.
+  async optOutRecipient(documentId, recipientId) {
+    const log = this.log.child({ documentId, recipientIds: [recipientId] });
+    if (!await this.db.getDocumentReminder(documentId)) {
+      return { action: 'not_tracked' };
+    }
+    if (await this.db.isReminderStopped(documentId, recipientId)) {
+      return { action: 'already_stopped' };
+    }
+
+    await this.db.stopReminders(documentId, recipientId, OPT_OUT_REASON, 'recipient');
+    const reminder = (await this.db.getRecipientReminders(documentId)).find(row => row.recipient_id === recipientId);
+    log.info(`🙅 Recipient ${recipientId} opted out of reminders for document ${documentId}`);
+
+    if (this.notifier.hasChannels()) {
+      try {
+        const document = await this.api.getDocument(documentId);
+        await this.notify(NotificationEvent.RECIPIENT_OPTED_OUT, document, {
+          recipient: findRecipient(document, recipientId),
+          reminders: reminder ? reminder.reminder_count : 0
+        }, log);
+      } catch (error) {
+        log.warn(`⚠️  Could not fetch document ${documentId} to notify about the opt-out`, { error });
+      }
+    }
+
+    return { action: 'stopped' };
+  }
+
+  // Title of a document as recipients see it, or null when Documenso
+  // can't be reached
+  async getDocumentTitle(documentId) {
+    try {
+      return withoutTag((await this.api.getDocument(documentId)).title) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Post an event about a document to the notification channels that want it
+  async notify(event, document, details = {}, log = this.log) {
+    if (!this.notifier.hasChannels()) return;
+
+    if (this.dryRun) {
+      log.info(`🔍 DRY RUN: Would notify channels of ${event} for document ${document.id}`, { documentId: document.id });
+      return;
+    }
+
+    const { recipient = null, reminders = null, attempts = null, error = null } = details;
+    await this.notifier.notify({
+      event,
+      document: {
+        id: document.id,
+        title: withoutTag(document.title) || 'Untitled Document',
+        userId: document.userId ?? null,
+        teamId: document.teamId ?? null,
+        url: `${config.documenso.baseUrl}/documents/${document.id}`
+      },
+      recipient: recipient && { id: recipient.id, name: recipient.name || null, email: recipient.email },
+      reminders,
+      attempts,
+      error,
+      createdAt: DateTime.utc().toISO()
+    });
+  }
+
+  // Notify about a document that was stopped because it was rejected, or
+  // completed after at least one reminder
+  async notifyFinished(document, reason, log = this.log) {
+    if (!this.notifier.hasChannels()) return;
+
+    if (reason === 'document_rejected') {
+      for (const recipient of (document.recipients || []).filter(candidate => candidate.signingStatus === SigningStatus.REJECTED)) {
+        await this.notify(NotificationEvent.RECIPIENT_REJECTED, document, { recipient }, log);
+      }
+    } else if (reason === 'document_completed') {
+      const reminders = (await this.db.getRecipientReminders(document.id))
+        .reduce((total, reminder) => total + reminder.reminder_count, 0);
+      if (reminders > 0) {
+        await this.notify(NotificationEvent.DOCUMENT_COMPLETED, document, { reminders }, log);
+      }
+    }
+  }
+
   // Get comprehensive status report
   async getStatusReport() {
     try {
       const [stats, health] = await Promise.all([
         this.db.getStats(),
-        this.api.healthCheck()
+        this.checkApiHealth()
       ]);
 
       const pendingDocs = health.healthy ? await this.api.getPendingDocuments() : [];
@@ -214,18 +1638,391 @@ class ReminderService {
     }
   }
 
-  // Cleanup old records (optional maintenance)
-  async cleanup(daysOld = 90) {
+  // Whether a document waits for a later catch-up slot
+  isDeferred(documentId, now = DateTime.now()) {
+    const slot = this.deferred.get(documentId);
+    return Boolean(slot) && slot > now;
+  }
+
+  // On startup: look for scheduled runs missed since the last recorded run of
+  // any instance, and apply the catch-up policy. Returns the decision, which
+  // is also logged.
+  async catchUp({ cronSchedule, timezone, policy = config.catchUp.policy, spreadHours = config.catchUp.spreadHours, enroll = true }) {
+    const log = this.log.child({ task: 'catch-up' });
+    const lastRun = await this.db.getLastRun();
+
+    if (!lastRun) {
+      log.info('⏪ No earlier runs recorded, nothing to catch up');
+      return { missed: 0, policy, action: 'none' };
+    }
+
+    const now = DateTime.now();
+    const missed = findMissedRuns(cronSchedule, timezone, DateTime.fromISO(lastRun.started_at), now);
+    if (missed.count === 0) {
+      log.info(`⏪ No scheduled runs missed since the last run at ${formatTime(lastRun.started_at, timezone)}`);
+      return { missed: 0, policy, action: 'none' };
+    }
+
+    const decision = { missed: missed.count, policy, lastRunAt: lastRun.started_at, firstMissedAt: missed.first.toUTC().toISO() };
+    const summary = `Missed ${missed.count}${missed.capped ? '+' : ''} scheduled run(s) since the last run at ${formatTime(lastRun.started_at, timezone)}`;
+
+    switch (policy) {
+      case CatchUpPolicy.SKIP:
+        log.info(`⏪ ${summary}; catch-up policy "skip": waiting for the next scheduled run`, { missed: missed.count, policy });
+        return { ...decision, action: 'skipped' };
+
+      case CatchUpPolicy.SPREAD: {
+        // Slots start with the next allowed sending time, not during a weekend
+        const start = this.calendar.isAllowed(now) ? now : this.calendar.nextAllowedSlot(now);
+        const overdue = await this.getOverdueDocumentIds(now);
+        this.deferred = spreadOver(overdue, start, spreadHours);
+
+        log.info(`⏪ ${summary}; catch-up policy "spread": ${overdue.length} overdue documents go out over ${spreadHours} hours from ${formatTime(start.toISO(), timezone)}`, {
+          missed: missed.count,
+          policy,
+          documents: overdue.length
+        });
+        this.scheduleCatchUpRun(enroll, log);
+        return { ...decision, action: 'spread', documents: overdue.length, until: start.plus({ hours: spreadHours }).toUTC().toISO() };
+      }
+
+      default:
+        log.info(`⏪ ${summary}; catch-up policy "run": running now`, { missed: missed.count, policy });
+        await this.runCatchUpCycle(enroll, log);
+        return { ...decision, action: 'ran' };
+    }
+  }
+
+  // Documents a run would fetch right now
+  async getOverdueDocumentIds(now) {
+    const trackedDocuments = await this.db.getDocumentsForReminders();
+    return trackedDocuments
+      .filter(docReminder => needsCheck(docReminder, now, this.calendar, this.policies.get(docReminder.policy || config.escalation.defaultPolicy)))
+      .map(docReminder => docReminder.document_id);
+  }
+
+  // Resolves to false when the run was skipped because another one was in progress
+  async runCatchUpCycle(enroll, log) {
     try {
-      // This would be implemented to clean up old reminder history
-      console.log(`🧹 Cleanup not implemented yet (would clean records older than ${daysOld} days)`);
+      const run = await this.runCycle({ enroll, trigger: 'catch-up' });
+      if (!run) {
+        log.info('⏭️  A run is already in progress, catch-up waits for it');
+      }
+      return Boolean(run);
     } catch (error) {
-      console.error('❌ Cleanup failed:', error.message);
+      log.error('❌ Catch-up run failed', { error });
+      return true;
+    }
+  }
+
+  // One catch-up run per slot (at most one a minute) until every deferred
+  // document has had its turn. Only the first run enrolls new documents.
+  scheduleCatchUpRun(enroll, log, delay = 0) {
+    if (this.stopping) return;
+
+    this.catchUpTimer = setTimeout(async () => {
+      const ran = await this.runCatchUpCycle(enroll, log);
+      const now = DateTime.now();
+      const upcoming = [...this.deferred.values()].filter(slot => slot > now);
+
+      if (upcoming.length > 0 || !ran) {
+        // A skipped run is tried again, or the documents of past slots would
+        // wait for the next scheduled run
+        const next = upcoming.length > 0 ? DateTime.min(...upcoming) : now;
+        this.scheduleCatchUpRun(false, log, Math.max(next.diff(now).as('milliseconds'), CATCH_UP_MIN_GAP_MS));
+      } else {
+        this.deferred = new Map();
+        this.catchUpTimer = null;
+        log.info('⏪ Catch-up complete');
+      }
+    }, delay);
+  }
+
+  // Retention: remove reminder_history and stopped_reminders rows older than
+  // daysOld of documents that are finished, archiving them to a compressed
+  // NDJSON file first when archiveDir is set. A dry run only reports what
+  // would go. Returns null when another instance is already cleaning up.
+  async cleanup({ daysOld = config.retention.days, archiveDir = config.retention.archiveDir, dryRun = false } = {}) {
+    if (!(daysOld > 0)) {
+      throw new Error('Retention age is not set (RETENTION_DAYS)');
+    }
+
+    if (this.stopping || this.cleaning) return null;
+
+    const log = this.log.child({ task: 'cleanup' });
+    const cutoff = DateTime.utc().minus({ days: daysOld });
+    const lock = new RunLock(this.db, { name: 'cleanup', owner: this.instanceId, ttlSeconds: config.runLock.ttlSeconds });
+
+    if (!dryRun && !await lock.acquire()) {
+      log.info('🔒 Another instance is cleaning up, skipping');
+      return null;
+    }
+
+    this.cleaning = true;
+    try {
+      // Rows are read a page at a time; only the per-document counts and the
+      // ids to delete are kept
+      const documents = new Map();
+      const ids = { history: [], stops: [] };
+      const scan = async function* (key, fetchPage) {
+        for await (const row of inPages(fetchPage)) {
+          const counts = documents.get(row.document_id) || { documentId: row.document_id, history: 0, stops: 0 };
+          counts[key]++;
+          documents.set(row.document_id, counts);
+          ids[key].push(row.id);
+          yield row;
+        }
+      };
+      const history = scan('history', afterId => this.db.getFinishedHistory(FINISHED_REASONS, cutoff.toISO(), afterId));
+      const stops = scan('stops', afterId => this.db.getFinishedStops(FINISHED_REASONS, cutoff.toISO(), afterId));
+
+      // Archive while reading, before deleting: the rows deleted below are
+      // the ones in the archive, and a failed delete leaves rows that the
+      // next cleanup archives again, never rows that are gone without a copy
+      let archive = null;
+      if (archiveDir && !dryRun) {
+        archive = await writeArchive(archiveDir, { reminder_history: history, stopped_reminders: stops });
+      } else {
+        for await (const row of history) void row;
+        for await (const row of stops) void row;
+      }
+
+      const result = {
+        daysOld,
+        cutoff: cutoff.toISO(),
+        dryRun,
+        history: ids.history.length,
+        stops: ids.stops.length,
+        documents: [...documents.values()].sort((a, b) => a.documentId - b.documentId),
+        archive: null
+      };
+      const summary = `${result.history} history rows and ${result.stops} stop records of ${documents.size} finished documents older than ${daysOld} days`;
+
+      if (dryRun) {
+        log.info(`🔍 Dry run: would remove ${summary}`);
+        return result;
+      }
+      if (documents.size === 0) {
+        log.info(`🧹 Nothing to clean up older than ${daysOld} days`);
+        return result;
+      }
+
+      if (archive) {
+        result.archive = archive;
+        log.info(`📦 Archived ${result.history + result.stops} rows to ${result.archive}`);
+      }
+
+      await this.db.deleteHistory(ids.history);
+      await this.db.deleteStops(ids.stops);
+      log.info(`🧹 Removed ${summary}`);
+      return result;
+    } finally {
+      this.cleaning = false;
+      if (!dryRun) await lock.release();
+    }
+  }
+
+  // Email each document owner a digest: their pending documents, who hasn't
+  // signed, how many reminders each of them has had, who is close to the
+  // maximum, and what was stopped automatically since their last digest (at
+  // most one DIGEST_CRON_SCHEDULE period back). Scheduled digests skip owners
+  // who already got one this period, e.g. from another instance. Resolves to
+  // { digests, sent, failed }, or null when another instance is sending them.
+  async sendOwnerDigests({ dryRun = false, scheduled = false } = {}) {
+    if (this.stopping || this.digesting) return null;
+
+    const log = this.log.child({ task: 'digest' });
+    const lock = new RunLock(this.db, { name: 'digest', owner: this.instanceId, ttlSeconds: config.runLock.ttlSeconds });
+
+    if (!dryRun && !await lock.acquire()) {
+      log.info('🔒 Another instance is sending digests, skipping');
+      return null;
     }
+
+    this.digesting = true;
+    try {
+      const { currentTick, previousTick } = digestWindow(config.digest.cronSchedule, config.reminders.timezone);
+      const owners = await this.collectDigests(previousTick, log);
+      const result = { dryRun, digests: [], sent: 0, failed: 0 };
+
+      for (const [to, { documents, stops }] of owners) {
+        const last = await this.db.getLastDigest(to);
+        const lastSentAt = last ? parseTimestamp(last.sent_at) : null;
+        if (scheduled && lastSentAt && lastSentAt >= currentTick) {
+          log.debug(`📬 ${to} already got this period's digest`);
+          continue;
+        }
+
+        const periodStart = lastSentAt && lastSentAt > previousTick ? lastSentAt : previousTick;
+        const newStops = stops.filter(stop => stop.stoppedAt >= periodStart);
+        if (documents.length === 0 && newStops.length === 0) continue;
+
+        const digest = { to, periodStart, documents, stops: newStops };
+        const email = formatDigest(digest, { baseUrl: config.documenso.baseUrl, timezone: config.reminders.timezone });
+        result.digests.push({ ...digest, ...email });
+        if (dryRun) continue;
+
+        try {
+          await this.digestMailer.send({ to, ...email });
+          await this.db.recordDigest(to, periodStart.toUTC().toISO(), { documents: documents.length, stopped: newStops.length });
+          result.sent++;
+          log.info(`📬 Sent digest to ${to}: ${documents.length} pending documents, ${newStops.length} automatic stops`);
+        } catch (error) {
+          result.failed++;
+          log.error(`❌ Could not send digest to ${to}`, { error });
+        }
+      }
+
+      if (dryRun) {
+        log.info(`🔍 Dry run: would send ${result.digests.length} digests`);
+      } else {
+        log.info(`📬 Owner digests: ${result.sent} sent, ${result.failed} failed`, { sent: result.sent, failed: result.failed });
+      }
+      return result;
+    } finally {
+      this.digesting = false;
+      if (!dryRun) await lock.release();
+    }
+  }
+
+  // What goes into digests, by owner email: pending documents (see
+  // summarizeDocument) and automatic stops since the given time
+  async collectDigests(since, log) {
+    const owners = new Map();
+    const unmapped = new Set();
+    const ownerOf = (document) => {
+      const to = this.getOwnerEmail(document);
+      if (!to) {
+        unmapped.add(document.userId);
+        return null;
+      }
+      if (!owners.has(to)) owners.set(to, { documents: [], stops: [] });
+      return owners.get(to);
+    };
+
+    // Each document is fetched once, null when that failed
+    const fetched = new Map();
+    const fetchDocument = async (documentId) => {
+      if (!fetched.has(documentId)) {
+        try {
+          fetched.set(documentId, await this.api.getDocument(documentId));
+        } catch (error) {
+          log.warn(`⚠️  Could not fetch document ${documentId} for digests`, { documentId, error });
+          fetched.set(documentId, null);
+        }
+      }
+      return fetched.get(documentId);
+    };
+
+    for (const docReminder of await this.db.getDocumentsForReminders()) {
+      const document = await fetchDocument(docReminder.document_id);
+      if (!document || getDocumentProgress(document) !== 'pending') continue;
+      const owner = ownerOf(document);
+      if (!owner) continue;
+
+      const documentStops = await this.db.getStoppedReminders(docReminder.document_id);
+      const recipients = getPendingRecipients(document).map(recipient => {
+        const stop = documentStops.find(row => row.recipient_id === null || row.recipient_id === recipient.id);
+        return {
+          recipient,
+          reminder: docReminder.recipients.find(row => row.recipient_id === recipient.id) || null,
+          stopped: Boolean(stop),
+          optedOut: Boolean(stop) && stop.stopped_reason === OPT_OUT_REASON
+        };
+      });
+      owner.documents.push(summarizeDocument(document, docReminder, recipients, config.digest.nearMaxRemaining));
+    }
+
+    const stops = (await this.db.getAutomaticStops()).filter(stop => {
+      const stoppedAt = parseTimestamp(stop.stopped_at);
+      return stoppedAt !== null && stoppedAt >= since;
+    });
+
+    for (const stop of stops) {
+      // Documents gone from Documenso have no owner to tell
+      if (stop.stopped_reason === 'document_not_found') continue;
+      const document = await fetchDocument(stop.document_id);
+      if (!document) continue;
+      const owner = ownerOf(document);
+      if (!owner) continue;
+
+      const recipient = stop.recipient_id
+        ? (document.recipients || []).find(candidate => candidate.id === stop.recipient_id) || { email: `recipient ${stop.recipient_id}` }
+        : null;
+      owner.stops.push({
+        documentId: document.id,
+        title: withoutTag(document.title) || 'Untitled Document',
+        recipient,
+        reason: stop.stopped_reason,
+        optedOut: stop.stopped_reason === OPT_OUT_REASON,
+        stoppedAt: parseTimestamp(stop.stopped_at)
+      });
+    }
+
+    if (unmapped.size > 0) {
+      log.warn(`⚠️  No email address for owner(s) ${[...unmapped].join(', ')}, their documents are left out of digests (set OWNER_EMAILS or OWNER_FALLBACK_EMAIL)`);
+    }
+    return owners;
+  }
+
+  // Whether a run, retry pass, cleanup or digest is in progress
+  isBusy() {
+    return Boolean(this.currentRun || this.retrying || this.cleaning || this.digesting);
+  }
+
+  // Graceful shutdown: start no new runs, retry passes, cleanups, digests or documents,
+  // and give the ones in progress up to timeoutSeconds to finish, then close
+  // connections. Resolves to false when work was still in progress.
+  async shutdown({ timeoutSeconds = config.shutdown.timeoutSeconds } = {}) {
+    this.stopping = true;
+    if (this.catchUpTimer) clearTimeout(this.catchUpTimer);
+    this.catchUpTimer = null;
+
+    if (this.isBusy()) {
+      this.log.info(`⏳ Waiting up to ${timeoutSeconds}s for documents in progress`, { runId: this.currentRun ? this.currentRun.id : null });
+    }
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    while (this.isBusy() && Date.now() < deadline) {
+      await sleep(SHUTDOWN_POLL_MS);
+    }
+
+    const finished = !this.isBusy();
+    if (!finished) {
+      await this.checkpointRun();
+    }
+
+    await this.close();
+    return finished;
+  }
+
+  // Leave a run that didn't finish in time in a state the next run recovers
+  // from. Reminders it was sending keep their 'sending' claim, which the next
+  // run settles once the lease has expired, so nothing goes out twice. The
+  // run lock is released so another instance can take over right away.
+  async checkpointRun() {
+    const run = this.currentRun;
+    if (run) {
+      run.error = 'Interrupted by shutdown';
+      run.finishedAt = DateTime.utc().toISO();
+      try {
+        await this.db.recordRunFinish(run, this.instanceId, 'interrupted');
+      } catch (error) {
+        this.log.warn('⚠️  Could not record the interrupted run', { error });
+      }
+    }
+
+    this.log.warn(`⚠️  Shutdown timeout reached with work in progress; reminders being sent are settled by the next run after ${config.runLock.ttlSeconds}s`, {
+      runId: run ? run.id : null
+    });
+    await this.releaseRunLock(this.log);
   }
 
-  close() {
-    this.db.close();
+  async close() {
+    if (this.catchUpTimer) clearTimeout(this.catchUpTimer);
+    this.mailer.close();
+    if (this.digestMailer !== this.mailer) this.digestMailer.close();
+    if (this.reminderMailer !== this.mailer) this.reminderMailer.close();
+    await this.db.close();
   }
 }
 
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { parseTimestamp } = require('./business-calendar');
+const { isLanguageCode, withoutTag } = require('./document-overrides');
+
+// How reminders reach recipients
+const DeliveryMode = {
+  DOCUMENSO: 'documenso', // Documenso's resend endpoint, with its own signing email
+  SMTP: 'smtp' // our own email from a template, with the recipient's signing link
+};
+
+// Template used when there is none for the escalation step
+const DEFAULT_TEMPLATE = 'reminder';
+
+// Parse a template file: a "Subject:" line, a blank line, then the text
+function parseTemplate(content, file) {
+  const [firstLine, ...rest] = content.replace(/\r\n/g, '\n').split('\n');
+  const match = /^Subject:\s*(.*)$/i.exec(firstLine);
+  if (!match || !match[1]) {
+    throw new Error(`Reminder template ${file} must start with a "Subject: ..." line`);
+  }
+
+  const text = rest.join('\n').replace(/^\n+/, '').replace(/\s+$/, '');
+  if (!text) {
+    throw new Error(`Reminder template ${file} has no text after its subject`);
+  }
+  return { subject: match[1].trim(), text: `${text}\n` };
+}
+
+function render(template, fields) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (fields[name] === undefined || fields[name] === null ? '' : String(fields[name])));
+}
+
+// Reminder emails by language and escalation step
+class ReminderTemplates {
+  constructor(templates, defaultLanguage) {
+    this.templates = templates; // language -> name -> { subject, text, file }
+    this.defaultLanguage = defaultLanguage;
+  }
+
+  // The template for a language and step: the step's own in that language,
+  // else its "reminder" template, and the same in the default language when
+  // the language has neither. "fr-CA" falls back to "fr" first.
+  select(language, stepName = null) {
+    const languages = [];
+    if (language) {
+      const lower = language.toLowerCase();
+      languages.push(lower, lower.split('-')[0]);
+    }
+    languages.push(this.defaultLanguage);
+
+    const names = stepName ? [stepName, DEFAULT_TEMPLATE] : [DEFAULT_TEMPLATE];
+    for (const candidate of languages) {
+      for (const name of names) {
+        const template = this.templates[candidate] && this.templates[candidate][name];
+        if (template) return { ...template, language: candidate, name };
+      }
+    }
+    // loadReminderTemplates makes sure the default language has one
+    throw new Error(`No "${DEFAULT_TEMPLATE}" template for language "${this.defaultLanguage}"`);
+  }
+
+  // Subject and text of the reminder a recipient gets, plus the template
+  // that was used. Without an optOutUrl (opt-out links off), lines that use
+  // it are left out.
+  format({ document, recipient, reminder, language, stepName = null, optOutUrl = null, now = DateTime.now() }) {
+    const template = this.select(language, stepName);
+    const fields = templateFields({ document, recipient, reminder, language: template.language, stepName, optOutUrl, now });
+    const text = optOutUrl
+      ? template.text
+      : template.text.split('\n')
+        .filter(line => !/\{\{\s*optOutUrl\s*\}\}/.test(line))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/\s+$/, '\n');
+
+    return {
+      subject: render(template.subject, fields),
+      text: render(text, fields),
+      language: template.language,
+      template: template.name,
+      file: template.file
+    };
+  }
+}
+
+// Fields templates can use
+function templateFields({ document, recipient, reminder, language, stepName, optOutUrl, now }) {
+  const createdAt = parseTimestamp(document.createdAt);
+  const waitingSince = parseTimestamp(reminder.activated_at) || createdAt;
+  const reminderNumber = reminder.reminder_count + 1;
+
+  return {
+    recipientName: recipient.name || recipient.email,
+    recipientEmail: recipient.email,
+    title: withoutTag(document.title) || 'Untitled Document',
+    documentId: document.id,
+    signingUrl: recipient.signingUrl,
+    sentOn: createdAt ? createdAt.setLocale(language).toLocaleString(DateTime.DATE_FULL) : '',
+    waitingDays: waitingSince ? Math.max(0, Math.floor(now.diff(waitingSince, 'days').days)) : '',
+    reminderNumber,
+    maxReminders: reminder.max_reminders,
+    remindersLeft: Math.max(0, reminder.max_reminders - reminderNumber),
+    step: stepName || '',
+    optOutUrl
+  };
+}
+
+// Load reminder templates from a directory with one folder per language:
+//
+//   templates/
+//     en/reminder.txt    used for interval reminders and steps without their own
+//     en/firm.txt        used for the escalation step named "firm"
+//     fr/reminder.txt
+//
+// Each file starts with a "Subject: ..." line, then a blank line and the
+// text. {{name}} is replaced with the field of that name (see templateFields).
+// The default language must have a reminder.txt.
+function loadReminderTemplates(directory, defaultLanguage) {
+  let languages;
+  try {
+    languages = fs.readdirSync(directory, { withFileTypes: true }).filter(entry => entry.isDirectory());
+  } catch (error) {
+    throw new Error(`Could not read reminder templates from ${directory}: ${error.message}`);
+  }
+
+  const templates = {};
+  for (const { name: language } of languages) {
+    if (!isLanguageCode(language)) {
+      throw new Error(`Reminder template folder "${language}" in ${directory} is not a language code (e.g. en, fr, pt-br)`);
+    }
+
+    const folder = path.join(directory, language);
+    const byName = templates[language.toLowerCase()] = {};
+    for (const fileName of fs.readdirSync(folder).filter(name => name.endsWith('.txt'))) {
+      const file = path.join(folder, fileName);
+      byName[path.basename(fileName, '.txt')] = { ...parseTemplate(fs.readFileSync(file, 'utf8'), file), file };
+    }
+  }
+
+  const fallback = defaultLanguage.toLowerCase();
+  if (!templates[fallback] || !templates[fallback][DEFAULT_TEMPLATE]) {
+    throw new Error(`Reminder templates in ${directory} need ${path.join(fallback, `${DEFAULT_TEMPLATE}.txt`)} for the default language (REMINDER_DEFAULT_LANGUAGE)`);
+  }
+
+  return new ReminderTemplates(templates, fallback);
+}
+
+module.exports = { DeliveryMode, loadReminderTemplates };
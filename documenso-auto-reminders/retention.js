@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { DateTime } = require('luxon');
+
+// Stop reasons of documents that are done in Documenso: they never get
+// reminders again, so their history only matters for the record
+const FINISHED_REASONS = ['document_completed', 'document_rejected', 'document_cancelled', 'document_not_found'];
+
+// Every row of a paged query: fetchPage(afterId) resolves to the next page
+// of rows with ids above afterId, in id order, and to [] at the end
+async function* inPages(fetchPage) {
+  let afterId = 0;
+  for (;;) {
+    const rows = await fetchPage(afterId);
+    if (rows.length === 0) return;
+    yield* rows;
+    afterId = rows[rows.length - 1].id;
+  }
+}
+
+// Write rows to a new gzip-compressed NDJSON file in directory, one
+// {"table": ..., "row": {...}} object per line. Each table's rows may be an
+// array or an async iterable. Resolves to the file path, or to null when
+// there were no rows (the empty file is removed).
+async function writeArchive(directory, tables) {
+  await fs.promises.mkdir(directory, { recursive: true });
+  const file = path.join(directory, `reminders-archive-${DateTime.utc().toFormat("yyyyMMdd'T'HHmmss'Z'")}.ndjson.gz`);
+
+  let written = 0;
+
+  async function* lines() {
+    for (const [table, rows] of Object.entries(tables)) {
+      for await (const row of rows) {
+        written++;
+        yield `${JSON.stringify({ table, row })}\n`;
+      }
+    }
+  }
+
+  // 'wx' never overwrites an earlier archive
+  await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(file, { flags: 'wx' }));
+  if (written === 0) {
+    await fs.promises.unlink(file);
+    return null;
+  }
+  return file;
+}
+
+module.exports = { FINISHED_REASONS, inPages, writeArchive };
@@ -0,0 +1,33 @@
+// Status of a queued resend
+const RetryStatus = {
+  PENDING: 'pending', // waiting for its next attempt
+  DEAD: 'dead' // gave up; stays in the dead-letter list until requeued or discarded
+};
+
+// Failures worth retrying: rate limits, server errors, and requests that got
+// no response at all. Other 4xx errors would fail the same way again.
+function isRetryable(status) {
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+// Same for our own reminder emails: SMTP servers answer 4xx for problems that
+// may go away and 5xx for ones that won't, like an unknown mailbox. No code
+// means the server couldn't be reached.
+function isRetryableSmtp(responseCode) {
+  return !responseCode || responseCode < 500;
+}
+
+// Seconds to wait after the given number of failed attempts: exponential
+// backoff with jitter, or what the server asked for with Retry-After
+function getRetryDelay(attempts, options, retryAfter = null) {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return retryAfter;
+  }
+
+  const backoff = Math.min(options.maxDelaySeconds, options.baseDelaySeconds * 2 ** (attempts - 1));
+  // Half fixed, half random, so documents that failed together (say, during
+  // an outage) don't all come back at once
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+module.exports = { RetryStatus, isRetryable, isRetryableSmtp, getRetryDelay };
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const os = require('os');
+const { logger } = require('./logger');
+
+// State of an idempotency key in send_claims
+const SendStatus = {
+  SENDING: 'sending', // claimed by a run that is sending it now
+  SENT: 'sent',
+  UNCONFIRMED: 'unconfirmed' // its run stopped before recording the outcome; counted as sent
+};
+
+// One key per reminder: the document, the recipient and which reminder it is
+// ("reminder:3" for the third interval reminder, "<policy>:<step index>" for
+// an escalation step). Runs that try to send the same reminder get the same key.
+function idempotencyKey(documentId, recipientId, step) {
+  return `${documentId}:${recipientId}:${step}`;
+}
+
+// Identifies this process in run_locks and send_claims
+function createInstanceId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+}
+
+// Lease-based lock in the database, so that only one instance runs at a time.
+// The lease is renewed while the run goes on; if the process dies, it expires
+// after ttlSeconds and another instance can take over.
+class RunLock {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.name = options.name || 'reminders';
+    this.owner = options.owner || createInstanceId();
+    this.ttlSeconds = options.ttlSeconds || 300;
+    this.log = logger.child({ component: 'lock' });
+    this.timer = null;
+    this.lost = false;
+  }
+
+  // Resolves to false when another instance holds the lock
+  async acquire() {
+    const acquired = await this.db.acquireLock(this.name, this.owner, this.ttlSeconds);
+    if (!acquired) return false;
+
+    this.lost = false;
+    this.timer = setInterval(() => this.renew(), (this.ttlSeconds * 1000) / 3);
+    this.timer.unref();
+    return true;
+  }
+
+  async renew() {
+    let renewed = false;
+    try {
+      renewed = await this.db.renewLock(this.name, this.owner, this.ttlSeconds);
+    } catch (error) {
+      this.log.warn('⚠️  Could not renew the run lock', { error });
+      return;
+    }
+
+    if (!renewed) {
+      // Idempotency keys still stop the other instance from sending anything twice
+      this.lost = true;
+      this.stopRenewing();
+      this.log.error(`🔒 Lost the run lock "${this.name}" to another instance`, { owner: this.owner });
+    }
+  }
+
+  stopRenewing() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async release() {
+    this.stopRenewing();
+    await this.db.releaseLock(this.name, this.owner);
+  }
+}
+
+module.exports = { RunLock, SendStatus, idempotencyKey, createInstanceId };
@@ -0,0 +1,53 @@
+const { DateTime, Duration } = require('luxon');
+const { parseTimestamp } = require('./business-calendar');
+
+const DURATION_UNITS = { h: 'hours', d: 'days', w: 'weeks' };
+
+// When a snooze given as "--until" ends:
+//   "2026-11-03"        reminders pick up again on that day (midnight in the timezone)
+//   "2026-11-03T14:00"  at that time in the timezone, unless it has an offset
+//   "3d", "12h", "2w"   that long from now
+//   "P1W", "PT36H"      ISO 8601 durations, the same way
+// Throws when the value can't be read or isn't in the future.
+function parseSnoozeUntil(value, timezone, now = DateTime.now()) {
+  const text = String(value || '').trim();
+  // Days and weeks keep the time of day in the timezone across DST changes
+  const start = now.setZone(timezone);
+  let until;
+
+  const short = /^(\d+)\s*([hdw])$/i.exec(text);
+  if (short) {
+    until = start.plus({ [DURATION_UNITS[short[2].toLowerCase()]]: Number(short[1]) });
+  } else if (/^P/i.test(text)) {
+    const duration = Duration.fromISO(text.toUpperCase());
+    if (duration.isValid) until = start.plus(duration);
+  } else if (text) {
+    const parsed = DateTime.fromISO(text, { zone: timezone, setZone: true });
+    if (parsed.isValid) until = parsed;
+  }
+
+  if (!until) {
+    throw new Error(`Invalid snooze end "${text}" (expected a date like 2026-11-03, a date and time, or a duration like 3d, 12h, 2w)`);
+  }
+  if (until <= now) {
+    throw new Error(`Snooze end "${text}" is not in the future`);
+  }
+  return until.setZone(timezone);
+}
+
+// The snooze holding back a recipient's reminders (a snooze of the whole
+// document, or their own), or the document's when no recipient is given.
+// snoozes are active rows of reminder_snoozes; the one ending last wins.
+function findSnooze(snoozes, documentId, recipientId = null) {
+  return snoozes
+    .filter(snooze => snooze.document_id === documentId &&
+      (snooze.recipient_id === null || (recipientId !== null && snooze.recipient_id === recipientId)))
+    .sort((a, b) => (a.snoozed_until < b.snoozed_until ? 1 : -1))[0] || null;
+}
+
+// "Tue 03 Nov 2026 00:00", when a snooze ends in the timezone
+function formatSnoozeEnd(snooze, timezone) {
+  return parseTimestamp(snooze.snoozed_until).setZone(timezone).toFormat('ccc dd LLL yyyy HH:mm');
+}
+
+module.exports = { parseSnoozeUntil, findSnooze, formatSnoozeEnd };
@@ -2,13 +2,27 @@
 
 const ReminderDatabase = require('./database');
 const DocumensoAPI = require('./documenso-api');
+const config = require('./config');
+const { loadPolicies } = require('./escalation-policies');
+const { createBusinessCalendar, parseTimestamp } = require('./business-calendar');
+const { parseSnoozeUntil, findSnooze, formatSnoozeEnd } = require('./snoozes');
+const { logger } = require('./logger');
 
-// Command line arguments
-const args = process.argv.slice(2);
+const log = logger.child({ component: 'stop-reminders' });
+
+// Command line arguments: positional ones, then "--name value" options
+const argv = process.argv.slice(2);
+const optionIndex = argv.findIndex(arg => arg.startsWith('--'));
+const args = optionIndex === -1 ? argv : argv.slice(0, optionIndex);
 const command = args[0];
 const documentId = parseInt(args[1]);
 const recipientId = args[2] ? parseInt(args[2]) : null;
 
+function optionValue(name) {
+  const index = argv.indexOf(name);
+  return index === -1 ? undefined : argv[index + 1];
+}
+
 function showHelp() {
   console.log(`
 🛑 Stop/Resume Reminders Utility
@@ -21,7 +35,15 @@ Commands:
   stop <documentId>             Stop all reminders for a document
   stop <documentId> <recipientId>  Stop reminders for specific recipient
   resume <documentId>           Resume reminders for a document
+  resume <documentId> <recipientId>  Resume reminders for specific recipient
+                                (resuming also ends snoozes)
+  snooze <documentId> [recipientId] --until <date|duration> [--reason <text>]
+                                Hold back reminders until a date (2026-11-03, in
+                                TIMEZONE) or for a while (3d, 12h, 2w)
   status <documentId>           Show reminder status for a document
+  retries                       List failed resends waiting for retry and dead letters
+  retry <documentId> [recipientId]    Give dead letters a fresh set of attempts
+  discard <documentId> [recipientId]  Drop dead letters (normal reminders pick up again)
   help                          Show this help
 
 Examples:
@@ -29,7 +51,10 @@ Examples:
   node stop-reminders.js stop 123
   node stop-reminders.js stop 123 456
   node stop-reminders.js resume 123
+  node stop-reminders.js snooze 123 456 --until 2026-11-03
+  node stop-reminders.js snooze 123 --until 2w --reason "owner on leave"
   node stop-reminders.js status 123
+  node stop-reminders.js retry 123 456
 `);
 }
 
@@ -41,25 +66,50 @@ async function listDocuments() {
     console.log('📋 Documents with Reminders\n');
     
     // Get all documents from database
-    const documentsToRemind = await db.getDocumentsForReminders();
+    const trackedDocuments = await db.getTrackedDocuments();
+    const optedOut = new Set((await db.getStoppedReminders())
+      .filter(stop => stop.stopped_by === 'recipient')
+      .map(stop => `${stop.document_id}:${stop.recipient_id}`));
+    const snoozes = await db.getActiveSnoozes();
+    const timezone = config.reminders.timezone;
     
-    if (documentsToRemind.length === 0) {
+    if (trackedDocuments.length === 0) {
       console.log('ℹ️  No documents currently tracked for reminders');
       return;
     }
 
-    for (const docReminder of documentsToRemind) {
+    for (const docReminder of trackedDocuments) {
       try {
         const document = await api.getDocument(docReminder.document_id);
         const docInfo = api.formatDocumentInfo(document);
         const isStopped = await db.isReminderStopped(docReminder.document_id);
+        const documentSnooze = findSnooze(snoozes, docReminder.document_id);
+        let status = '✅ Active';
+        if (isStopped) {
+          status = '🛑 Stopped';
+        } else if (documentSnooze) {
+          status = `😴 Snoozed until ${formatSnoozeEnd(documentSnooze, timezone)}`;
+        }
         
         console.log(`📄 Document ID: ${docReminder.document_id}`);
         console.log(`   Title: "${docInfo.title}"`);
-        console.log(`   Status: ${isStopped ? '🛑 Stopped' : '✅ Active'}`);
+        console.log(`   Status: ${status}`);
         console.log(`   Pending Recipients: ${docInfo.pendingRecipients}/${docInfo.totalRecipients}`);
-        console.log(`   Reminders Sent: ${docReminder.reminder_count || 0}/${docReminder.max_reminders}`);
         console.log(`   Interval: Every ${docReminder.interval_days} days`);
+        const policyName = docReminder.policy || config.escalation.defaultPolicy;
+        if (policyName) {
+          console.log(`   Escalation: policy "${policyName}", step ${docReminder.escalation_step} reached`);
+        }
+        for (const reminder of docReminder.recipients) {
+          const snooze = findSnooze(snoozes, docReminder.document_id, reminder.recipient_id);
+          let note = '';
+          if (optedOut.has(`${docReminder.document_id}:${reminder.recipient_id}`)) {
+            note = ' 🙅 opted out';
+          } else if (snooze && snooze !== documentSnooze) {
+            note = ` 😴 snoozed until ${formatSnoozeEnd(snooze, timezone)}`;
+          }
+          console.log(`   • Recipient ${reminder.recipient_id}: ${reminder.reminder_count}/${reminder.max_reminders} reminders sent${note}`);
+        }
         console.log('');
       } catch (error) {
         console.log(`📄 Document ID: ${docReminder.document_id}`);
@@ -68,7 +118,7 @@ async function listDocuments() {
       }
     }
   } catch (error) {
-    console.error('❌ Error listing documents:', error.message);
+    log.error('❌ Error listing documents', { error });
   } finally {
     db.close();
   }
@@ -78,38 +128,143 @@ async function stopReminders(documentId, recipientId = null, reason = 'manual')
   const db = new ReminderDatabase();
   
   try {
-    await db.stopReminders(documentId, recipientId, reason, 'manual');
+    await db.stopReminders(documentId, recipientId, reason, 'admin');
     
+    const context = { documentId, recipientIds: recipientId ? [recipientId] : null };
     if (recipientId) {
-      console.log(`✅ Stopped reminders for recipient ${recipientId} in document ${documentId}`);
+      log.info(`✅ Stopped reminders for recipient ${recipientId} in document ${documentId}`, context);
     } else {
-      console.log(`✅ Stopped all reminders for document ${documentId}`);
+      log.info(`✅ Stopped all reminders for document ${documentId}`, context);
     }
   } catch (error) {
-    console.error('❌ Error stopping reminders:', error.message);
+    log.error('❌ Error stopping reminders', { documentId, error });
   } finally {
     db.close();
   }
 }
 
-async function resumeReminders(documentId) {
+async function resumeReminders(documentId, recipientId = null) {
   const db = new ReminderDatabase();
   
   try {
-    // Re-enable the document for reminders
-    await db.enableReminders(documentId);
+    // Documents that were never tracked are enrolled
+    if (!await db.getDocumentReminder(documentId)) {
+      await db.enableReminders(documentId);
+    }
+
+    // Re-enable, keeping the document's settings and counts
+    await db.resumeReminders(documentId, recipientId);
     
-    // Remove from stopped reminders
-    await new Promise((resolve, reject) => {
-      db.db.run(`DELETE FROM stopped_reminders WHERE document_id = ?`, [documentId], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
+    const context = { documentId, recipientIds: recipientId ? [recipientId] : null };
+    if (recipientId) {
+      log.info(`✅ Resumed reminders for recipient ${recipientId} in document ${documentId}`, context);
+    } else {
+      log.info(`✅ Resumed reminders for document ${documentId}`, context);
+    }
+  } catch (error) {
+    log.error('❌ Error resuming reminders', { documentId, error });
+  } finally {
+    db.close();
+  }
+}
+
+async function snoozeReminders(documentId, recipientId, until, reason = null) {
+  const db = new ReminderDatabase();
+  const timezone = config.reminders.timezone;
+
+  try {
+    if (!await db.getDocumentReminder(documentId)) {
+      log.error(`❌ Document ${documentId} is not tracked for reminders`, { documentId });
+      return;
+    }
+
+    const snoozedUntil = parseSnoozeUntil(until, timezone);
+    await db.snoozeReminders(documentId, recipientId, snoozedUntil, { snoozedBy: 'admin', reason });
+
+    const context = { documentId, recipientIds: recipientId ? [recipientId] : null, snoozedUntil: snoozedUntil.toISO() };
+    const end = `${snoozedUntil.toFormat('ccc dd LLL yyyy HH:mm')} (${timezone})`;
+    if (recipientId) {
+      log.info(`😴 Snoozed reminders for recipient ${recipientId} in document ${documentId} until ${end}`, context);
+    } else {
+      log.info(`😴 Snoozed all reminders for document ${documentId} until ${end}`, context);
+    }
+
+    // A snooze doesn't lift a stop
+    if (await db.isReminderStopped(documentId, recipientId)) {
+      log.warn(`⚠️  Reminders for document ${documentId}${recipientId ? `, recipient ${recipientId}` : ''} are stopped and stay stopped after the snooze; use "resume" to restart them`, context);
+    }
+  } catch (error) {
+    log.error('❌ Error snoozing reminders', { documentId, error });
+  } finally {
+    db.close();
+  }
+}
+
+async function listRetries() {
+  const db = new ReminderDatabase();
+
+  try {
+    const retries = await db.getRetries();
+
+    if (retries.length === 0) {
+      console.log('ℹ️  No failed resends waiting for retry');
+      return;
+    }
+
+    const pending = retries.filter(retry => retry.status === 'pending');
+    const dead = retries.filter(retry => retry.status === 'dead');
+    const describe = (retry) => {
+      const step = retry.step_name ? `, step "${retry.step_name}"` : '';
+      const status = retry.last_status ? `HTTP ${retry.last_status}` : 'no response';
+      return `   • Document ${retry.document_id}, recipient ${retry.recipient_id}${step}: ${retry.attempts} failed attempts, last ${status}: ${retry.last_error}`;
+    };
+
+    console.log(`🔁 Waiting for retry (${pending.length})`);
+    for (const retry of pending) {
+      console.log(`${describe(retry)}\n     next attempt ${parseTimestamp(retry.next_attempt_at).setZone(config.reminders.timezone).toFormat('dd LLL yyyy HH:mm:ss')}`);
+    }
+
+    console.log(`\n☠️  Dead letters (${dead.length})`);
+    for (const retry of dead) {
+      console.log(`${describe(retry)}\n     gave up ${parseTimestamp(retry.updated_at).setZone(config.reminders.timezone).toFormat('dd LLL yyyy HH:mm:ss')}`);
+    }
+    if (dead.length > 0) {
+      console.log('\nUse "retry <documentId>" to try again or "discard <documentId>" to drop them');
+    }
+  } catch (error) {
+    log.error('❌ Error listing retries', { error });
+  } finally {
+    db.close();
+  }
+}
+
+async function requeueDeadLetters(documentId, recipientId = null) {
+  const db = new ReminderDatabase();
+
+  try {
+    const requeued = await db.requeueDeadLetters(documentId, recipientId);
+    log.info(`✅ Requeued ${requeued} dead letters for document ${documentId}; they are retried on the next retry pass`, {
+      documentId,
+      recipientIds: recipientId ? [recipientId] : null
+    });
+  } catch (error) {
+    log.error('❌ Error requeueing dead letters', { documentId, error });
+  } finally {
+    db.close();
+  }
+}
+
+async function discardDeadLetters(documentId, recipientId = null) {
+  const db = new ReminderDatabase();
+
+  try {
+    const discarded = await db.discardDeadLetters(documentId, recipientId);
+    log.info(`✅ Discarded ${discarded} dead letters for document ${documentId}`, {
+      documentId,
+      recipientIds: recipientId ? [recipientId] : null
     });
-    
-    console.log(`✅ Resumed reminders for document ${documentId}`);
   } catch (error) {
-    console.error('❌ Error resuming reminders:', error.message);
+    log.error('❌ Error discarding dead letters', { documentId, error });
   } finally {
     db.close();
   }
@@ -134,36 +289,60 @@ async function showDocumentStatus(documentId) {
       console.log(`   Total Recipients: ${docInfo.totalRecipients}`);
       console.log('');
       
+      const docReminder = await db.getDocumentReminder(documentId);
+      const policyName = docReminder && (docReminder.policy || config.escalation.defaultPolicy);
+      const policy = policyName ? loadPolicies(config.escalation.policiesFile).get(policyName) : null;
+      const calendar = createBusinessCalendar(config.reminders);
+
+      if (policyName) {
+        console.log(`📈 Escalation policy: "${policyName}"${policy ? ` (${policy.steps.length} steps)` : ' ❌ not defined'}`);
+        console.log('');
+      }
+
       if (docInfo.recipients.length > 0) {
+        const reminders = await db.getRecipientReminders(documentId);
+        const stops = await db.getStoppedReminders(documentId);
+        const snoozes = await db.getActiveSnoozes(documentId);
+
         console.log('👥 Recipients:');
         for (const recipient of docInfo.recipients) {
-          const recipientStopped = await db.isReminderStopped(documentId, recipient.id);
-          console.log(`   • ${recipient.name || recipient.email} (${recipient.status}) ${recipientStopped ? '🛑 Stopped' : '✅ Active'}`);
+          const stop = stops.find(row => row.recipient_id === null || row.recipient_id === recipient.id);
+          const reminder = reminders.find(row => row.recipient_id === recipient.id);
+          const snooze = findSnooze(snoozes, documentId, recipient.id);
+          let count = reminder ? ` ${reminder.reminder_count}/${reminder.max_reminders} reminders` : '';
+          if (reminder && policy) {
+            const nextStep = policy.steps[reminder.escalation_step];
+            count += `, step ${reminder.escalation_step}/${policy.steps.length}${nextStep ? ` (next: ${nextStep.name})` : ' (done)'}`;
+          } else if (reminder && docReminder.enabled && !snooze && reminder.reminder_count < reminder.max_reminders) {
+            const from = parseTimestamp(reminder.last_sent_at) || parseTimestamp(reminder.activated_at);
+            count += `, next ${calendar.dueAt(from, docReminder.interval_days).toFormat('ccc dd LLL HH:mm')}`;
+          }
+          let state = '✅ Active';
+          if (stop && stop.stopped_by === 'recipient') {
+            state = `🙅 Opted out ${stop.stopped_at}`;
+          } else if (stop) {
+            state = '🛑 Stopped';
+          } else if (snooze) {
+            state = `😴 Snoozed until ${formatSnoozeEnd(snooze, config.reminders.timezone)}`;
+          }
+          console.log(`   • ${recipient.name || recipient.email} [${recipient.role}] (${recipient.state})${count} ${state}`);
         }
         console.log('');
       }
     } catch (error) {
-      console.log(`❌ Could not fetch document: ${error.message}\n`);
+      log.warn('❌ Could not fetch document', { documentId, error });
+      console.log('');
     }
     
     // Get reminder history
-    const reminderHistory = await new Promise((resolve, reject) => {
-      db.db.all(
-        'SELECT * FROM reminder_history WHERE document_id = ? ORDER BY sent_at DESC LIMIT 10',
-        [documentId],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        }
-      );
-    });
+    const reminderHistory = await db.getReminderHistory(documentId, 10);
     
     if (reminderHistory.length > 0) {
       console.log('📧 Recent Reminder History:');
       for (const reminder of reminderHistory) {
-        const recipients = JSON.parse(reminder.recipient_ids);
         const status = reminder.success ? '✅' : '❌';
-        console.log(`   ${status} ${reminder.sent_at}: Reminder #${reminder.reminder_count} to ${recipients.length} recipients`);
+        const step = reminder.step_name ? ` (step "${reminder.step_name}")` : '';
+        console.log(`   ${status} ${reminder.sent_at}: Reminder #${reminder.reminder_count} to recipient ${reminder.recipient_id}${step}`);
         if (!reminder.success && reminder.error_message) {
           console.log(`      Error: ${reminder.error_message}`);
         }
@@ -171,13 +350,33 @@ async function showDocumentStatus(documentId) {
     } else {
       console.log('📧 No reminders sent yet');
     }
+
+    const escalationEvents = await db.getEscalationEvents(documentId, 10);
+    if (escalationEvents.length > 0) {
+      console.log('\n📈 Escalation History:');
+      for (const event of escalationEvents) {
+        const status = event.success ? '✅' : '❌';
+        console.log(`   ${status} ${event.executed_at}: ${event.policy} step ${event.step_index + 1} "${event.step_name}" (${event.action}) for recipients ${JSON.parse(event.recipient_ids).join(', ')}`);
+        if (!event.success && event.error_message) {
+          console.log(`      Error: ${event.error_message}`);
+        }
+      }
+    }
     
-    // Check if stopped
+    // Check if stopped or snoozed
     const isStopped = await db.isReminderStopped(documentId);
-    console.log(`\n🎛️  Overall Status: ${isStopped ? '🛑 Stopped' : '✅ Active for reminders'}`);
+    const documentSnooze = findSnooze(await db.getActiveSnoozes(documentId), documentId);
+    let overall = '✅ Active for reminders';
+    if (isStopped) {
+      overall = '🛑 Stopped';
+    } else if (documentSnooze) {
+      overall = `😴 Snoozed until ${formatSnoozeEnd(documentSnooze, config.reminders.timezone)} (${config.reminders.timezone})`;
+      if (documentSnooze.reason) overall += `: ${documentSnooze.reason}`;
+    }
+    console.log(`\n🎛️  Overall Status: ${overall}`);
     
   } catch (error) {
-    console.error('❌ Error getting document status:', error.message);
+    log.error('❌ Error getting document status', { documentId, error });
   } finally {
     db.close();
   }
@@ -196,7 +395,7 @@ async function main() {
       
     case 'stop':
       if (!documentId) {
-        console.error('❌ Document ID required for stop command');
+        log.error('❌ Document ID required for stop command');
         showHelp();
         return;
       }
@@ -205,29 +404,56 @@ async function main() {
       
     case 'resume':
       if (!documentId) {
-        console.error('❌ Document ID required for resume command');
+        log.error('❌ Document ID required for resume command');
         showHelp();
         return;
       }
-      await resumeReminders(documentId);
+      await resumeReminders(documentId, recipientId);
       break;
       
+    case 'snooze':
+      if (!documentId || !optionValue('--until')) {
+        log.error('❌ Document ID and --until <date|duration> required for snooze command');
+        showHelp();
+        return;
+      }
+      await snoozeReminders(documentId, recipientId, optionValue('--until'), optionValue('--reason') || null);
+      break;
+
     case 'status':
       if (!documentId) {
-        console.error('❌ Document ID required for status command');
+        log.error('❌ Document ID required for status command');
         showHelp();
         return;
       }
       await showDocumentStatus(documentId);
       break;
+
+    case 'retries':
+      await listRetries();
+      break;
+
+    case 'retry':
+    case 'discard':
+      if (!documentId) {
+        log.error(`❌ Document ID required for ${command} command`);
+        showHelp();
+        return;
+      }
+      if (command === 'retry') {
+        await requeueDeadLetters(documentId, recipientId);
+      } else {
+        await discardDeadLetters(documentId, recipientId);
+      }
+      break;
       
     default:
-      console.error(`❌ Unknown command: ${command}`);
+      log.error(`❌ Unknown command: ${command}`);
       showHelp();
   }
 }
 
 main().catch(error => {
-  console.error('❌ Error:', error.message);
+  log.error('❌ Error', { error });
   process.exit(1);
 }); 
\ No newline at end of file
@@ -0,0 +1,187 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// Storage backends for ReminderDatabase. Both take SQL with "?" placeholders
+// and return plain row objects; run() resolves to { changes }. transaction(fn)
+// runs fn with a storage whose queries all go to one transaction, committed
+// when fn resolves and rolled back when it throws.
+
+// Local SQLite file (the default)
+class SqliteStorage {
+  constructor(options) {
+    this.dialect = 'sqlite';
+    this.path = options.path;
+    this.autoIncrementPrimaryKey = 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    this.db = new sqlite3.Database(this.path);
+    // Instances sharing the file wait for each other's writes instead of failing
+    this.db.configure('busyTimeout', 5000);
+  }
+
+  describe() {
+    return `SQLite ${this.path}`;
+  }
+
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async columnsOf(table) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    return columns.map(column => column.name);
+  }
+
+  // There is only one connection, so fn must be the only thing using it until
+  // it settles. IMMEDIATE takes the write lock up front, so other processes
+  // sharing the file wait instead of failing halfway.
+  async transaction(fn) {
+    await this.exec('BEGIN IMMEDIATE');
+    try {
+      const result = await fn(this);
+      await this.exec('COMMIT');
+      return result;
+    } catch (error) {
+      await this.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  close() {
+    return new Promise(resolve => this.db.close(() => resolve()));
+  }
+}
+
+// Queries against PostgreSQL, through the pool or one checked-out client
+class PostgresQueries {
+  constructor(queryable) {
+    this.dialect = 'postgres';
+    this.autoIncrementPrimaryKey = 'SERIAL PRIMARY KEY';
+    this.queryable = queryable;
+  }
+
+  // "?" placeholders become $1, $2, ...
+  toPositional(sql) {
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
+  }
+
+  query(sql, params = []) {
+    return this.queryable.query(this.toPositional(sql), params);
+  }
+
+  async exec(sql) {
+    await this.queryable.query(sql);
+  }
+
+  async run(sql, params = []) {
+    const result = await this.query(sql, params);
+    return { changes: result.rowCount };
+  }
+
+  async get(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows[0];
+  }
+
+  async all(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows;
+  }
+
+  async columnsOf(table) {
+    const columns = await this.all(`
+      SELECT column_name AS name FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = ?
+    `, [table]);
+    return columns.map(column => column.name);
+  }
+}
+
+// PostgreSQL via DATABASE_URL, optionally in its own schema so it can share a
+// database (e.g. Documenso's) with other applications
+class PostgresStorage extends PostgresQueries {
+  constructor(options) {
+    // Only loaded when DATABASE_URL is set
+    const { Pool } = require('pg');
+    const schema = options.schema || null;
+    // The schema is set when each connection starts, before any query runs on
+    // it. Spaces and backslashes in startup options are escaped with a backslash.
+    const pool = new Pool({
+      connectionString: options.url,
+      ...(schema && { options: `-c search_path=${quoteIdentifier(schema).replace(/[\s\\]/g, '\\$&')}` })
+    });
+    super(pool);
+
+    this.url = options.url;
+    this.schema = schema;
+    this.pool = pool;
+  }
+
+  describe() {
+    const url = new URL(this.url);
+    return `PostgreSQL ${url.host}${url.pathname}${this.schema ? ` (schema ${this.schema})` : ''}`;
+  }
+
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(new PostgresQueries(client));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  close() {
+    return this.pool.end();
+  }
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// PostgreSQL when DATABASE_URL is set, SQLite otherwise
+function createStorage(options) {
+  if (options.url) {
+    return new PostgresStorage(options);
+  }
+  return new SqliteStorage(options);
+}
+
+module.exports = { SqliteStorage, PostgresQueries, PostgresStorage, createStorage, quoteIdentifier };
@@ -0,0 +1,302 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js insists on a token; nothing here talks to Documenso
+process.env.DOCUMENSO_API_TOKEN = process.env.DOCUMENSO_API_TOKEN || 'test-token';
+process.env.LOG_LEVEL = 'silent';
+
+const { DateTime } = require('luxon');
+const ReminderDatabase = require('../database');
+const { Migrator, SchemaOutOfDateError } = require('../migrator');
+const { createStorage, quoteIdentifier, PostgresQueries } = require('../storage');
+const { FINISHED_REASONS } = require('../retention');
+
+describe('PostgreSQL placeholders', () => {
+  test('"?" placeholders become $1, $2, ... in order', () => {
+    const queries = new PostgresQueries(null);
+    assert.equal(
+      queries.toPositional('SELECT * FROM t WHERE a = ? AND b IN (?, ?) AND c > ?'),
+      'SELECT * FROM t WHERE a = $1 AND b IN ($2, $3) AND c > $4'
+    );
+    assert.equal(queries.toPositional('SELECT 1'), 'SELECT 1');
+  });
+
+  test('queries are sent with positional placeholders and rowCount becomes changes', async () => {
+    const sent = [];
+    const queries = new PostgresQueries({
+      query: async (sql, params) => {
+        sent.push({ sql, params });
+        return { rows: [{ id: 7 }], rowCount: 2 };
+      }
+    });
+
+    assert.deepEqual(await queries.run('DELETE FROM t WHERE a = ? AND b = ?', [1, 'x']), { changes: 2 });
+    assert.deepEqual(await queries.get('SELECT id FROM t WHERE a = ?', [1]), { id: 7 });
+    assert.deepEqual(sent, [
+      { sql: 'DELETE FROM t WHERE a = $1 AND b = $2', params: [1, 'x'] },
+      { sql: 'SELECT id FROM t WHERE a = $1', params: [1] }
+    ]);
+  });
+});
+
+// The same tests against each backend. PostgreSQL runs when DATABASE_URL
+// points at a database the tests may create a schema in; the schema is
+// dropped afterwards.
+const backends = [
+  {
+    name: 'SQLite',
+    setUp() {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reminders-test-'));
+      return {
+        options: { path: path.join(directory, 'reminders.db') },
+        tearDown: async () => fs.rmSync(directory, { recursive: true, force: true })
+      };
+    }
+  },
+  {
+    name: 'PostgreSQL',
+    skip: process.env.DATABASE_URL ? false : 'DATABASE_URL is not set',
+    setUp() {
+      const options = { url: process.env.DATABASE_URL, schema: `reminders_test_${process.pid}_${Date.now()}` };
+      return {
+        options,
+        tearDown: async () => {
+          const storage = createStorage({ url: options.url });
+          try {
+            await storage.exec(`DROP SCHEMA IF EXISTS ${quoteIdentifier(options.schema)} CASCADE`);
+          } finally {
+            await storage.close();
+          }
+        }
+      };
+    }
+  }
+];
+
+for (const backend of backends) {
+  describe(`ReminderDatabase on ${backend.name}`, { skip: backend.skip }, () => {
+    let options;
+    let tearDown;
+    let storage;
+    let db;
+
+    before(() => {
+      ({ options, tearDown } = backend.setUp());
+      storage = createStorage(options);
+    });
+
+    after(async () => {
+      if (db) await db.close();
+      await storage.close();
+      await tearDown();
+    });
+
+    describe('migrations', () => {
+      test('a database without migrations is refused', async () => {
+        const unmigrated = new ReminderDatabase(options);
+        await assert.rejects(unmigrated.ready, SchemaOutOfDateError);
+        await assert.rejects(unmigrated.getStats(), SchemaOutOfDateError);
+        await unmigrated.close();
+      });
+
+      test('every migration is applied once, in order', async () => {
+        const migrator = new Migrator(storage);
+        const applied = await migrator.migrate();
+
+        assert.deepEqual(applied.map(migration => migration.version), migrator.migrations.map(migration => migration.version));
+        assert.deepEqual(await migrator.migrate(), []);
+        await migrator.assertUpToDate();
+
+        const { applied: recorded, pending, unknown } = await migrator.status();
+        assert.equal(recorded.length, migrator.migrations.length);
+        assert.deepEqual(pending, []);
+        assert.deepEqual(unknown, []);
+      });
+
+      test('a database migrated by a newer version is refused', async () => {
+        await storage.run(`INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`, [999, 'from-the-future', new Date().toISOString()]);
+        try {
+          await assert.rejects(new Migrator(storage).assertUpToDate(), /migrated by a newer version/);
+          await assert.rejects(new Migrator(storage).migrate(), SchemaOutOfDateError);
+        } finally {
+          await storage.run(`DELETE FROM schema_migrations WHERE version = ?`, [999]);
+        }
+      });
+    });
+
+    describe('queries', () => {
+      before(async () => {
+        db = new ReminderDatabase(options);
+        await db.ready;
+      });
+
+      test('getDocumentsForReminders returns enabled documents with their recipients', async () => {
+        const now = DateTime.utc();
+        await db.enableReminders(101, { intervalDays: 3, maxReminders: 5 });
+        await db.enableReminders(102);
+        await db.enableReminders(103, { signingOrder: 'SEQUENTIAL', policy: 'urgent' });
+        await db.activateRecipient(101, 1, now, 5);
+        await db.activateRecipient(101, 2, now, 5);
+        await db.activateRecipient(103, 3, now, 10);
+        await db.stopReminders(102, null, 'document_completed', 'system');
+
+        const documents = (await db.getDocumentsForReminders())
+          .filter(document => document.document_id >= 101 && document.document_id <= 103)
+          .sort((a, b) => a.document_id - b.document_id);
+
+        assert.deepEqual(documents.map(document => document.document_id), [101, 103]);
+        assert.equal(documents[0].interval_days, 3);
+        assert.equal(documents[0].max_reminders, 5);
+        assert.deepEqual(documents[0].recipients.map(recipient => recipient.recipient_id).sort(), [1, 2]);
+        assert.deepEqual(documents[1].recipients.map(recipient => recipient.recipient_id), [3]);
+        assert.equal(documents[1].signing_order, 'SEQUENTIAL');
+        assert.equal(documents[1].policy, 'urgent');
+        assert.equal(documents[1].recipients[0].reminder_count, 0);
+      });
+
+      test('re-enrolling a document starts it over', async () => {
+        await db.enableReminders(104, { maxReminders: 2 });
+        await db.stopReminders(104, null, 'manual', 'admin');
+        await db.enableReminders(104, { maxReminders: 7 });
+
+        const document = await db.getDocumentReminder(104);
+        assert.equal(document.enabled, 1);
+        assert.equal(document.max_reminders, 7);
+        assert.equal(document.stopped_reason, null);
+      });
+
+      test('getStats counts documents, reminders, stops, snoozes and retries as numbers', async () => {
+        const before = await db.getStats();
+        const now = DateTime.utc();
+
+        await db.enableReminders(201);
+        await db.enableReminders(202);
+        await db.activateRecipient(201, 21, now, 10);
+        await db.activateRecipient(201, 22, now, 10);
+        await db.recordReminderSent(201, 21, 1, true);
+        await db.recordReminderSent(201, 22, 1, false, 'Documenso said no');
+        await db.stopReminders(201, 22, 'opted_out', 'recipient');
+        await db.snoozeReminders(201, 21, now.plus({ days: 1 }));
+        await db.stopReminders(202, null, 'document_completed', 'system');
+        await db.saveRetry(201, 21, { status: 'pending', attempts: 1, nextAttemptAt: now, error: 'timeout', httpStatus: null });
+        await db.saveRetry(201, 23, { status: 'dead', attempts: 5, nextAttemptAt: null, error: 'Bad request', httpStatus: 400 });
+
+        const stats = await db.getStats();
+        for (const value of Object.values(stats)) {
+          assert.equal(typeof value, 'number');
+        }
+        assert.deepEqual(
+          Object.fromEntries(Object.keys(stats).map(key => [key, stats[key] - before[key]])),
+          {
+            activeDocuments: 1,
+            totalReminders: 1,
+            stoppedDocuments: 1,
+            optedOutRecipients: 1,
+            activeSnoozes: 1,
+            stoppedRecipients: 1,
+            snoozedRecipients: 1,
+            pendingRetries: 1,
+            deadLetters: 1
+          }
+        );
+      });
+
+      test('recordReminderSent returns the new history id and counts successful reminders only', async () => {
+        await db.enableReminders(301);
+        await db.activateRecipient(301, 31, DateTime.utc(), 10);
+
+        const first = await db.recordReminderSent(301, 31, 1, true);
+        const failed = await db.recordReminderSent(301, 31, 2, false, 'Documenso said no');
+        const second = await db.recordReminderSent(301, 31, 2, true, null, 'day-1');
+
+        assert.equal(typeof first, 'number');
+        assert.ok(failed > first && second > failed);
+
+        const [reminder] = await db.getRecipientReminders(301);
+        assert.equal(reminder.reminder_count, 2);
+        assert.ok(reminder.last_sent_at);
+
+        const history = await db.getReminderHistory(301);
+        assert.deepEqual(history.map(row => row.id).sort((a, b) => a - b), [first, failed, second]);
+        assert.equal(history.find(row => row.id === second).step_name, 'day-1');
+      });
+
+      test('claimSend lets one owner claim a key until it is released', async () => {
+        const key = `test:401:41:${Date.now()}`;
+
+        assert.equal(await db.claimSend(key, 401, 41, 'instance-a', { reminderCount: 1 }), null);
+
+        const existing = await db.claimSend(key, 401, 41, 'instance-b', { reminderCount: 1 });
+        assert.equal(existing.idempotency_key, key);
+        assert.equal(existing.owner, 'instance-a');
+        assert.equal(existing.status, 'sending');
+        assert.equal(existing.reminder_count, 1);
+
+        // A released claim can be taken again; a completed one can't
+        await db.releaseSend(key);
+        assert.equal(await db.claimSend(key, 401, 41, 'instance-b', { policy: 'urgent', stepIndex: 0, stepName: 'day-1' }), null);
+        assert.equal(await db.completeSend(key, 'sent'), true);
+        assert.equal(await db.completeSend(key, 'sent'), false);
+        await db.releaseSend(key);
+
+        const settled = await db.claimSend(key, 401, 41, 'instance-a');
+        assert.equal(settled.owner, 'instance-b');
+        assert.equal(settled.status, 'sent');
+        assert.equal(settled.step_index, 0);
+        assert.ok(settled.completed_at);
+      });
+
+      test('acquireLock is held by one owner until released or expired', async () => {
+        const name = `test-${Date.now()}`;
+
+        assert.equal(await db.acquireLock(name, 'instance-a', 60), true);
+        assert.equal(await db.acquireLock(name, 'instance-b', 60), false);
+        // The owner taking it again renews its lease
+        assert.equal(await db.acquireLock(name, 'instance-a', 60), true);
+        assert.equal(await db.renewLock(name, 'instance-b', 60), false);
+        assert.equal(await db.renewLock(name, 'instance-a', 60), true);
+        assert.equal((await db.getLock(name)).owner, 'instance-a');
+
+        await db.releaseLock(name, 'instance-a');
+        assert.equal(await db.getLock(name), undefined);
+        assert.equal(await db.acquireLock(name, 'instance-b', 60), true);
+
+        // An expired lease goes to whoever asks next
+        const expiring = `${name}-expired`;
+        assert.equal(await db.acquireLock(expiring, 'instance-a', -1), true);
+        assert.equal(await db.acquireLock(expiring, 'instance-b', 60), true);
+        assert.equal((await db.getLock(expiring)).owner, 'instance-b');
+      });
+
+      test('getFinishedHistory and getFinishedStops page through rows from before the cutoff', async () => {
+        await db.enableReminders(501);
+        await db.activateRecipient(501, 51, DateTime.utc(), 10);
+        await db.recordReminderSent(501, 51, 1, true);
+        // Rows written before migrations have SQLite's CURRENT_TIMESTAMP format
+        await db.run(`
+          INSERT INTO reminder_history (document_id, recipient_id, sent_at, reminder_count, success)
+          VALUES (?, ?, ?, ?, ?), (?, ?, ?, ?, ?)
+        `, [501, 51, '2020-01-01 09:00:00', 1, 1, 501, 51, '2020-02-01T09:00:00.000Z', 2, 1]);
+        await db.run(`
+          INSERT INTO stopped_reminders (document_id, recipient_id, stopped_at, stopped_reason, stopped_by)
+          VALUES (?, ?, ?, ?, ?)
+        `, [501, 52, '2020-03-01 09:00:00', 'max_reminders_reached', 'system']);
+        await db.stopReminders(501, null, 'document_completed', 'system');
+
+        const cutoff = DateTime.utc().minus({ days: 1 }).toISO();
+        const history = (await db.getFinishedHistory(FINISHED_REASONS, cutoff)).filter(row => row.document_id === 501);
+        assert.deepEqual(history.map(row => row.sent_at), ['2020-01-01 09:00:00', '2020-02-01T09:00:00.000Z']);
+        assert.deepEqual(await db.getFinishedHistory(FINISHED_REASONS, cutoff, history[1].id), []);
+
+        const stops = (await db.getFinishedStops(FINISHED_REASONS, cutoff)).filter(row => row.document_id === 501);
+        assert.deepEqual(stops.map(row => row.recipient_id), [52]);
+
+        // Documents stopped by hand keep their history
+        assert.deepEqual(await db.getFinishedHistory(['manual'], cutoff), []);
+      });
+    });
+  });
+}
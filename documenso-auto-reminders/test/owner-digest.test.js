@@ -0,0 +1,216 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SMTPServer } = require('smtp-server');
+
+// Owner digests end to end: tracked documents in a SQLite file, Documenso
+// answered by fixtures, digests sent to an SMTP sink on localhost.
+// config.js is read once, so it's only loaded once the sink has a port.
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reminders-digest-test-'));
+process.env.DOCUMENSO_API_TOKEN = process.env.DOCUMENSO_API_TOKEN || 'test-token';
+process.env.LOG_LEVEL = 'silent';
+process.env.DATABASE_PATH = path.join(directory, 'reminders.db');
+process.env.OWNER_EMAILS = '1:alice@example.com,2:bob@example.com';
+process.env.DIGEST_FROM = 'reminders@example.com';
+process.env.DIGEST_NEAR_MAX_REMAINING = '2';
+process.env.TIMEZONE = 'Europe/Paris';
+delete process.env.DATABASE_URL;
+delete process.env.OWNER_FALLBACK_EMAIL;
+
+function recipient(id, name, email, signingStatus = 'NOT_SIGNED') {
+  return { id, name, email, role: 'SIGNER', signingOrder: null, signingStatus, readStatus: 'OPENED', sendStatus: 'SENT' };
+}
+
+// What Documenso returns for each document
+const DOCUMENTS = {
+  1: {
+    id: 1,
+    userId: 1,
+    title: 'Contrat de bail [reminders lang=fr]',
+    status: 'PENDING',
+    createdAt: '2026-10-01T10:00:00.000Z',
+    recipients: [
+      recipient(11, 'Anna', 'anna@example.net'),
+      recipient(12, 'Ben', 'ben@example.net'),
+      recipient(13, 'Carl', 'carl@example.net'),
+      recipient(14, 'Dora', 'dora@example.net', 'SIGNED')
+    ]
+  },
+  2: { id: 2, userId: 1, title: 'Devis 2026', status: 'COMPLETED', createdAt: '2026-10-01T10:00:00.000Z', recipients: [] },
+  3: {
+    id: 3,
+    userId: 2,
+    title: 'Supplier agreement',
+    status: 'PENDING',
+    createdAt: '2026-10-02T10:00:00.000Z',
+    recipients: [recipient(31, 'Erin', 'erin@example.net'), recipient(32, 'Finn', 'finn@example.net')]
+  },
+  // No address for user 3's digests
+  4: { id: 4, userId: 3, title: 'Unmapped', status: 'PENDING', createdAt: '2026-10-02T10:00:00.000Z', recipients: [recipient(41, 'Gus', 'gus@example.net')] }
+};
+
+// Body of a raw message, undoing the transfer encoding nodemailer chose
+function messageText(raw) {
+  const [headers, ...rest] = raw.split('\r\n\r\n');
+  const body = rest.join('\r\n\r\n');
+  const encoding = (/^content-transfer-encoding:\s*(\S+)/im.exec(headers) || [])[1];
+
+  if (/quoted-printable/i.test(encoding)) {
+    const bytes = body.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/gi, (match, hex) => `%${hex}`);
+    return decodeURIComponent(bytes.replace(/%(?![0-9A-F]{2})/gi, '%25')).replace(/\r\n/g, '\n');
+  }
+  if (/base64/i.test(encoding)) {
+    return Buffer.from(body, 'base64').toString('utf8').replace(/\r\n/g, '\n');
+  }
+  return body.replace(/\r\n/g, '\n');
+}
+
+// A header's value, with long (folded) lines joined back up
+function header(raw, name) {
+  const headers = raw.split('\r\n\r\n')[0].replace(/\r\n[ \t]+/g, ' ');
+  const match = new RegExp(`^${name}:\\s*(.*)$`, 'im').exec(headers);
+  return match ? match[1].trim() : null;
+}
+
+describe('owner digests', () => {
+  const received = [];
+  let sink;
+  let service;
+  let result;
+
+  before(async () => {
+    sink = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['AUTH', 'STARTTLS'],
+      logger: false,
+      onData(stream, session, callback) {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          received.push({ to: session.envelope.rcptTo.map(address => address.address), raw: Buffer.concat(chunks).toString('utf8') });
+          callback();
+        });
+      }
+    });
+    await new Promise((resolve, reject) => {
+      sink.once('error', reject);
+      sink.listen(0, '127.0.0.1', resolve);
+    });
+    process.env.DIGEST_SMTP_URL = `smtp://127.0.0.1:${sink.server.address().port}`;
+
+    const { createStorage } = require('../storage');
+    const { Migrator } = require('../migrator');
+    const storage = createStorage({ path: process.env.DATABASE_PATH });
+    await new Migrator(storage).migrate();
+    await storage.close();
+
+    const ReminderService = require('../reminder-service');
+    const { DateTime } = require('luxon');
+    service = new ReminderService();
+    service.api.getDocument = async (documentId) => {
+      if (!DOCUMENTS[documentId]) throw new Error(`Document ${documentId} not found`);
+      return DOCUMENTS[documentId];
+    };
+
+    const { db } = service;
+    const now = DateTime.utc();
+    const setCount = (documentId, recipientId, count) => db.run(`
+      UPDATE recipient_reminders SET reminder_count = ?, last_sent_at = ? WHERE document_id = ? AND recipient_id = ?
+    `, [count, now.minus({ days: 1 }).toISO(), documentId, recipientId]);
+
+    // Alice: a pending document with one recipient near the maximum and one
+    // who opted out, and a document that was completed
+    await db.enableReminders(1, { maxReminders: 10 });
+    for (const recipientId of [11, 12, 13]) {
+      await db.activateRecipient(1, recipientId, now.minus({ days: 30 }), 10);
+    }
+    await setCount(1, 11, 9);
+    await setCount(1, 12, 3);
+    await setCount(1, 13, 4);
+    await db.stopReminders(1, 13, 'opted_out', 'recipient');
+    await db.enableReminders(2);
+    await db.stopReminders(2, null, 'document_completed', 'system');
+
+    // Bob: one recipient stopped at the maximum, one stopped by hand
+    await db.enableReminders(3, { maxReminders: 5 });
+    await db.activateRecipient(3, 31, now.minus({ days: 30 }), 5);
+    await db.activateRecipient(3, 32, now.minus({ days: 30 }), 5);
+    await setCount(3, 31, 5);
+    await setCount(3, 32, 1);
+    await db.stopReminders(3, 31, 'max_reminders_reached', 'system');
+    await db.stopReminders(3, 32, 'manual', 'admin');
+
+    await db.enableReminders(4);
+
+    result = await service.sendOwnerDigests();
+  });
+
+  after(async () => {
+    if (service) await service.close();
+    if (sink) await new Promise(resolve => sink.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const digestTo = (address) => {
+    const message = received.find(candidate => candidate.to.includes(address));
+    assert.ok(message, `no digest was sent to ${address}`);
+    return { subject: header(message.raw, 'Subject'), from: header(message.raw, 'From'), text: messageText(message.raw) };
+  };
+
+  test('each owner gets one digest with only their own documents', () => {
+    assert.equal(result.sent, 2);
+    assert.equal(result.failed, 0);
+    assert.deepEqual(received.map(message => message.to).sort(), [['alice@example.com'], ['bob@example.com']]);
+
+    const alice = digestTo('alice@example.com');
+    const bob = digestTo('bob@example.com');
+    assert.equal(alice.from, 'reminders@example.com');
+    assert.match(alice.text, /Waiting for signatures \(1\)/);
+    assert.match(alice.text, /"Contrat de bail" \(document 1\)/);
+    assert.doesNotMatch(alice.text, /Supplier agreement|Unmapped/);
+    assert.match(bob.text, /"Supplier agreement" \(document 3\)/);
+    assert.doesNotMatch(bob.text, /Contrat de bail|Devis 2026|Unmapped/);
+  });
+
+  test('titles are shown without the settings tag', () => {
+    for (const address of ['alice@example.com', 'bob@example.com']) {
+      assert.doesNotMatch(digestTo(address).text, /\[reminders/);
+    }
+  });
+
+  test('recipients close to the maximum are flagged', () => {
+    const alice = digestTo('alice@example.com');
+    assert.match(alice.subject, /1 close to the maximum/);
+    assert.match(alice.text, /Anna <anna@example\.net>: 9 of 10 reminders, last .* - 1 left/);
+    assert.match(alice.text, /Close to the maximum \(1\)\n {2}• Anna <anna@example\.net> on "Contrat de bail": 1 reminder left/);
+    assert.match(alice.text, /Ben <ben@example\.net>: 3 of 10 reminders, last [^\n-]*\n/);
+
+    // Stopped recipients are done, however few reminders they have left
+    const bob = digestTo('bob@example.com');
+    assert.doesNotMatch(bob.text, /Close to the maximum/);
+    assert.match(bob.text, /Erin <erin@example\.net>: reminders stopped after 5 of 5/);
+  });
+
+  test('automatic and recipient stops are listed, stops by hand are not', () => {
+    const alice = digestTo('alice@example.com');
+    assert.match(alice.subject, /1 opted out, 1 stopped$/);
+    assert.match(alice.text, /Carl <carl@example\.net>: opted out of reminders after 4 of 10/);
+    assert.match(alice.text, /Opted out of reminders \(1\)\n {2}• Carl <carl@example\.net> on "Contrat de bail" \(document 1\)/);
+    assert.match(alice.text, /Stopped automatically \(1\)\n {2}• "Devis 2026" \(document 2\): fully signed/);
+
+    const bob = digestTo('bob@example.com');
+    assert.match(bob.subject, /1 stopped$/);
+    assert.match(bob.text, /Stopped automatically \(1\)\n {2}• "Supplier agreement" \(document 3\), Erin <erin@example\.net>: reached the maximum number of reminders/);
+    assert.doesNotMatch(bob.text, /• "Supplier agreement" \(document 3\), Finn/);
+    assert.doesNotMatch(bob.text, /Opted out/);
+  });
+
+  test('a scheduled digest is not sent twice in the same period', async () => {
+    const again = await service.sendOwnerDigests({ scheduled: true });
+    assert.equal(again.sent, 0);
+    assert.equal(received.length, 2);
+  });
+});
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { HttpError } = require('./http-server');
+const { logger } = require('./logger');
+
+// Documenso webhook events the reminder service reacts to
+const HANDLED_EVENTS = [
+  'DOCUMENT_SENT',
+  'DOCUMENT_SIGNED',
+  'DOCUMENT_COMPLETED',
+  'DOCUMENT_REJECTED',
+  'DOCUMENT_CANCELLED'
+];
+
+class WebhookReceiver {
+  constructor(service, options = {}) {
+    this.service = service;
+    this.secret = options.secret;
+    this.log = logger.child({ component: 'webhooks' });
+  }
+
+  // Mount the receiver on an HttpServer
+  register(server, path) {
+    server.route('POST', path, (ctx) => this.handle(ctx));
+  }
+
+  // Documenso sends the webhook secret verbatim in X-Documenso-Secret
+  verifySecret(headerValue) {
+    if (!this.secret || typeof headerValue !== 'string') return false;
+
+    const expected = Buffer.from(this.secret);
+    const received = Buffer.from(headerValue);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  async handle(ctx) {
+    if (!this.verifySecret(ctx.headers['x-documenso-secret'])) {
+      throw new HttpError(401, 'Invalid webhook secret');
+    }
+
+    const { event, payload } = ctx.body || {};
+
+    if (!event || !payload || !payload.id) {
+      throw new HttpError(400, 'Expected a Documenso webhook payload with event and payload.id');
+    }
+
+    if (!HANDLED_EVENTS.includes(event)) {
+      return { status: 202, body: { received: true, handled: false } };
+    }
+
+    const result = await this.service.handleDocumentEvent(event, payload);
+    this.log.info(`📨 Webhook ${event} for document ${payload.id}: ${result.action}`, { documentId: payload.id, event });
+
+    return { status: 200, body: { received: true, handled: true, ...result } };
+  }
+}
+
+module.exports = { WebhookReceiver, HANDLED_EVENTS };